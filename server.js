@@ -7,18 +7,38 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const path = require('path');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const multer = require('multer');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
 const { Pool } = require('pg');
+const Cursor = require('pg-cursor');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+const BACKEND_URL = process.env.BACKEND_URL || 'https://alug-backend.onrender.com';
 
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Hinter dem Render-Proxy liefert req.ip sonst nur die Proxy-Adresse (Klick-Deduplizierung, Fraud-Checks)
+app.set('trust proxy', 1);
+
+// Rohdaten des Bodys für die Prüfung von Webhook-Signaturen aufbewahren
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ limit: '2mb', verify: keepRawBody }));
+app.use(express.urlencoded({ limit: '2mb', extended: true, verify: keepRawBody }));
 
 const allowedOrigins = process.env.ALLOWED_ORIGINS
   ? process.env.ALLOWED_ORIGINS.split(',')
   : ['http://localhost:3000'];
 
+// Links in E-Mails (Verifizierung, Passwort-Reset) zeigen auf das Frontend
+const FRONTEND_URL = (process.env.FRONTEND_URL || allowedOrigins[0]).replace(/\/$/, '');
+
 app.use(cors({
   origin: function(origin, callback) {
     if (!origin || allowedOrigins.indexOf(origin) !== -1) callback(null, true);
@@ -56,6 +76,10 @@ pool.query('SELECT NOW()', (err) => {
   else console.log('✅ Database connected successfully');
 });
 
+// Wiederkehrende Jobs starten erst mit dem Server (siehe START SERVER), nicht bei CLI-Aufrufen
+const backgroundJobs = [];
+const scheduleJob = (job, intervalMs) => backgroundJobs.push({ job, intervalMs });
+
 // ============================================
 // CREATE TABLES
 // ============================================
@@ -71,6 +95,72 @@ async function createTables() {
         is_admin BOOLEAN DEFAULT FALSE,
         is_partner BOOLEAN DEFAULT FALSE,
         partner_approved BOOLEAN DEFAULT FALSE,
+        payout_currency CHAR(3) DEFAULT 'EUR',
+        allowed_domains TEXT[] DEFAULT '{}',
+        email_verified BOOLEAN DEFAULT FALSE,
+        totp_secret VARCHAR(64),
+        totp_enabled BOOLEAN DEFAULT FALSE,
+        totp_last_step BIGINT,
+        totp_failed_attempts INTEGER DEFAULT 0,
+        totp_locked_until TIMESTAMP,
+        webhook_secret VARCHAR(128),
+        webhook_secret_previous VARCHAR(128),
+        webhook_secret_rotated_at TIMESTAMP,
+        referral_code VARCHAR(20) UNIQUE,
+        referred_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        notification_preferences JSONB DEFAULT '{}',
+        digest_frequency VARCHAR(10) DEFAULT 'weekly',
+        digest_sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        previous_token_hash VARCHAR(64),
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        two_factor BOOLEAN DEFAULT FALSE
+      );
+
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        currency CHAR(3) NOT NULL,
+        valid_on DATE NOT NULL,
+        rate DECIMAL(18,8) NOT NULL,
+        source VARCHAR(20) DEFAULT 'manual',
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (currency, valid_on)
+      );
+
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(30) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        new_email VARCHAR(255),
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
@@ -80,15 +170,102 @@ async function createTables() {
         description TEXT,
         price VARCHAR(50),
         price_value DECIMAL(10,2),
+        currency CHAR(3) DEFAULT 'EUR',
         type VARCHAR(50) DEFAULT 'product',
         commission_type VARCHAR(20) DEFAULT 'percentage',
         commission_value DECIMAL(10,2),
         category VARCHAR(100),
-        image_data TEXT,
+        image_url TEXT,
+        thumbnail_url TEXT,
         product_url TEXT,
         attribution_days INTEGER DEFAULT 30,
+        attribution_model VARCHAR(20) DEFAULT 'last_click',
+        hold_days INTEGER DEFAULT 14,
+        utm_template JSONB,
         vendor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
         approved BOOLEAN DEFAULT FALSE,
+        moderation_status VARCHAR(20) DEFAULT 'pending_review',
+        rejection_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS product_revisions (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        submitted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        changes JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        rejection_reason TEXT,
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS product_moderation_events (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        revision_id INTEGER REFERENCES product_revisions(id) ON DELETE SET NULL,
+        action VARCHAR(30) NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20),
+        reason TEXT,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS partner_applications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        company_name VARCHAR(255) NOT NULL,
+        website TEXT NOT NULL,
+        vat_id VARCHAR(20),
+        street VARCHAR(255) NOT NULL,
+        postal_code VARCHAR(20) NOT NULL,
+        city VARCHAR(255) NOT NULL,
+        country CHAR(2) NOT NULL,
+        contact_name VARCHAR(255) NOT NULL,
+        contact_phone VARCHAR(50),
+        terms_accepted_at TIMESTAMP NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        rejection_reason TEXT,
+        admin_notes TEXT,
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS partner_application_events (
+        id SERIAL PRIMARY KEY,
+        application_id INTEGER REFERENCES partner_applications(id) ON DELETE CASCADE,
+        action VARCHAR(30) NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20),
+        reason TEXT,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS product_images (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+        uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        thumbnail_url TEXT NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        size_bytes INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS campaigns (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        utm_source VARCHAR(100),
+        utm_medium VARCHAR(100),
+        utm_campaign VARCHAR(100),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
@@ -97,6 +274,8 @@ async function createTables() {
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
         product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
         link_code VARCHAR(255) UNIQUE NOT NULL,
+        label VARCHAR(100),
+        destination_url TEXT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
@@ -105,28 +284,265 @@ async function createTables() {
         link_id INTEGER REFERENCES affiliate_links(id) ON DELETE CASCADE,
         ip_address VARCHAR(45),
         user_agent TEXT,
+        visitor_id VARCHAR(64),
+        flag VARCHAR(20),
+        referrer VARCHAR(255),
+        country CHAR(2),
+        device_type VARCHAR(20),
+        browser VARCHAR(40),
+        sub1 VARCHAR(100),
+        sub2 VARCHAR(100),
+        sub3 VARCHAR(100),
+        sub4 VARCHAR(100),
+        sub5 VARCHAR(100),
         clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
       CREATE TABLE IF NOT EXISTS conversions (
         id SERIAL PRIMARY KEY,
         link_id INTEGER REFERENCES affiliate_links(id) ON DELETE CASCADE,
+        click_id INTEGER REFERENCES clicks(id) ON DELETE SET NULL,
         amount DECIMAL(10,2),
         commission DECIMAL(10,2),
+        currency CHAR(3) DEFAULT 'EUR',
+        payout_currency CHAR(3),
+        payout_rate DECIMAL(18,8),
+        attribution_share DECIMAL(5,4) DEFAULT 1,
+        sub1 VARCHAR(100),
+        sub2 VARCHAR(100),
+        sub3 VARCHAR(100),
+        sub4 VARCHAR(100),
+        sub5 VARCHAR(100),
+        order_id VARCHAR(255),
+        partner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        commission_rule_id INTEGER,
+        bonus_rule_id INTEGER,
+        bonus_commission DECIMAL(10,2) DEFAULT 0,
+        status VARCHAR(20) DEFAULT 'pending',
+        on_hold BOOLEAN DEFAULT FALSE,
+        refunded_amount DECIMAL(10,2) DEFAULT 0,
+        reversed_commission DECIMAL(10,2) DEFAULT 0,
+        payable_at TIMESTAMP,
+        approved_at TIMESTAMP,
+        reversed_at TIMESTAMP,
+        paid_at TIMESTAMP,
         converted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      CREATE TABLE IF NOT EXISTS stats_daily (
+        link_id INTEGER REFERENCES affiliate_links(id) ON DELETE CASCADE,
+        day DATE NOT NULL,
+        clicks INTEGER DEFAULT 0,
+        conversions INTEGER DEFAULT 0,
+        amount DECIMAL(14,4) DEFAULT 0,
+        commission DECIMAL(14,4) DEFAULT 0,
+        PRIMARY KEY (link_id, day)
+      );
+
+      CREATE TABLE IF NOT EXISTS conversion_adjustments (
+        id SERIAL PRIMARY KEY,
+        conversion_id INTEGER REFERENCES conversions(id) ON DELETE CASCADE,
+        type VARCHAR(20) NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        commission DECIMAL(10,2) NOT NULL,
+        reason TEXT,
+        external_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS partner_affiliate_blocks (
+        partner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        affiliate_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (partner_id, affiliate_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS commission_rules (
+        id SERIAL PRIMARY KEY,
+        partner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255),
+        kind VARCHAR(20) DEFAULT 'rate',
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        category VARCHAR(100),
+        affiliate_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        commission_type VARCHAR(20) DEFAULT 'percentage',
+        commission_value DECIMAL(10,2),
+        tiers JSONB,
+        priority INTEGER DEFAULT 0,
+        valid_from TIMESTAMP,
+        valid_until TIMESTAMP,
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS partner_integrations (
+        id SERIAL PRIMARY KEY,
+        partner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        platform VARCHAR(20) NOT NULL,
+        signing_secret VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (partner_id, platform)
+      );
+
+      CREATE TABLE IF NOT EXISTS fraud_reviews (
+        id SERIAL PRIMARY KEY,
+        conversion_id INTEGER UNIQUE REFERENCES conversions(id) ON DELETE CASCADE,
+        reasons JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'open',
+        note TEXT,
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS user_ips (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        ip_address VARCHAR(45) NOT NULL,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, ip_address)
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_nonces (
+        signature VARCHAR(128) PRIMARY KEY,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS payout_batches (
+        id SERIAL PRIMARY KEY,
+        format VARCHAR(20) NOT NULL,
+        status VARCHAR(20) DEFAULT 'processing',
+        payout_count INTEGER DEFAULT 0,
+        total_amount DECIMAL(12,2) DEFAULT 0,
+        currency CHAR(3) DEFAULT 'EUR',
+        file_content TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        paid_at TIMESTAMP
+      );
+
       CREATE TABLE IF NOT EXISTS payouts (
         id SERIAL PRIMARY KEY,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
         amount DECIMAL(10,2) NOT NULL,
-        status VARCHAR(50) DEFAULT 'pending',
+        currency CHAR(3) DEFAULT 'EUR',
+        status VARCHAR(50) DEFAULT 'requested',
         payment_method VARCHAR(100),
         payment_details TEXT,
+        batch_id INTEGER REFERENCES payout_batches(id) ON DELETE SET NULL,
+        status_note TEXT,
+        vat_status VARCHAR(20),
+        vat_rate DECIMAL(5,4) DEFAULT 0,
+        vat_amount DECIMAL(10,2) DEFAULT 0,
         requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        approved_at TIMESTAMP,
         processed_at TIMESTAMP
       );
 
+      CREATE TABLE IF NOT EXISTS tax_profiles (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        legal_name VARCHAR(255) NOT NULL,
+        street VARCHAR(255) NOT NULL,
+        postal_code VARCHAR(20) NOT NULL,
+        city VARCHAR(255) NOT NULL,
+        country CHAR(2) NOT NULL,
+        tax_number VARCHAR(50),
+        vat_id VARCHAR(20),
+        vat_status VARCHAR(20) NOT NULL,
+        iban VARCHAR(34) NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS document_counters (
+        name VARCHAR(50) PRIMARY KEY,
+        value INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS credit_notes (
+        id SERIAL PRIMARY KEY,
+        payout_id INTEGER UNIQUE REFERENCES payouts(id) ON DELETE RESTRICT,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        number VARCHAR(30) UNIQUE NOT NULL,
+        recipient JSONB NOT NULL,
+        net_amount DECIMAL(10,2) NOT NULL,
+        vat_rate DECIMAL(5,4) NOT NULL,
+        vat_amount DECIMAL(10,2) NOT NULL,
+        gross_amount DECIMAL(10,2) NOT NULL,
+        currency CHAR(3) DEFAULT 'EUR',
+        pdf BYTEA NOT NULL,
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id SERIAL PRIMARY KEY,
+        transaction_id UUID NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        account VARCHAR(30) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        currency CHAR(3) DEFAULT 'EUR',
+        entry_type VARCHAR(30) NOT NULL,
+        conversion_id INTEGER REFERENCES conversions(id) ON DELETE SET NULL,
+        payout_id INTEGER REFERENCES payouts(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS referral_overrides (
+        id SERIAL PRIMARY KEY,
+        conversion_id INTEGER REFERENCES conversions(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        recruit_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        level SMALLINT NOT NULL,
+        percent DECIMAL(5,2) NOT NULL,
+        payout_rate DECIMAL(18,8) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        reversed_amount DECIMAL(12,2) DEFAULT 0,
+        currency CHAR(3) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (conversion_id, level)
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        events TEXT[] NOT NULL,
+        secret VARCHAR(128) NOT NULL,
+        description VARCHAR(255),
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        subscription_id INTEGER REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id UUID NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        duration_ms INTEGER,
+        redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+        delivered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        body TEXT,
+        link TEXT,
+        data JSONB,
+        read_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
       CREATE INDEX IF NOT EXISTS idx_affiliate_links_user_id ON affiliate_links(user_id);
       CREATE INDEX IF NOT EXISTS idx_affiliate_links_product_id ON affiliate_links(product_id);
@@ -136,17 +552,210 @@ async function createTables() {
       CREATE INDEX IF NOT EXISTS idx_payouts_user_id ON payouts(user_id);
     `);
 
+    // Kampagne je Klick/Conversion: bestehende Daten einmalig der aktuellen Kampagne des Links zuordnen
+    const campaignColumn = await client.query(`SELECT 1 FROM information_schema.columns WHERE table_name = 'clicks' AND column_name = 'campaign_id'`);
+    // Bereits ausgezahlte Overrides einmalig dem letzten bezahlten Payout zuordnen, damit sie auf keiner neuen Gutschrift erscheinen
+    const overridePayoutColumn = await client.query(`SELECT 1 FROM information_schema.columns WHERE table_name = 'referral_overrides' AND column_name = 'payout_id'`);
+
     // Neue Spalten für bestehende DBs
     await client.query(`
       ALTER TABLE users ADD COLUMN IF NOT EXISTS is_partner BOOLEAN DEFAULT FALSE;
       ALTER TABLE users ADD COLUMN IF NOT EXISTS partner_approved BOOLEAN DEFAULT FALSE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(128);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS webhook_secret_previous VARCHAR(128);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS webhook_secret_rotated_at TIMESTAMP;
       ALTER TABLE products ADD COLUMN IF NOT EXISTS attribution_days INTEGER DEFAULT 30;
       ALTER TABLE products ADD COLUMN IF NOT EXISTS vendor_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
       ALTER TABLE products ADD COLUMN IF NOT EXISTS approved BOOLEAN DEFAULT FALSE;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS hold_days INTEGER DEFAULT 14;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS order_id VARCHAR(255);
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'pending';
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS reversed_commission DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS payable_at TIMESTAMP;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMP;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS partner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE conversion_adjustments ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS commission_rule_id INTEGER;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS bonus_rule_id INTEGER;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS bonus_commission DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS click_id INTEGER REFERENCES clicks(id) ON DELETE SET NULL;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS attribution_share DECIMAL(5,4) DEFAULT 1;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS attribution_model VARCHAR(20) DEFAULT 'last_click';
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS visitor_id VARCHAR(64);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS flag VARCHAR(20);
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS on_hold BOOLEAN DEFAULT FALSE;
+      ALTER TABLE payouts ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES payout_batches(id) ON DELETE SET NULL;
+      ALTER TABLE payouts ADD COLUMN IF NOT EXISTS status_note TEXT;
+      ALTER TABLE payouts ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP;
+      ALTER TABLE payouts ALTER COLUMN status SET DEFAULT 'requested';
+      -- Bestandsnutzer gelten als verifiziert, neue Nutzer starten unverifiziert
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT TRUE;
+      ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT FALSE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_failed_attempts INTEGER DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_locked_until TIMESTAMP;
+      ALTER TABLE sessions ADD COLUMN IF NOT EXISTS two_factor BOOLEAN DEFAULT FALSE;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS image_url TEXT;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20);
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+      ALTER TABLE payouts ADD COLUMN IF NOT EXISTS vat_status VARCHAR(20);
+      ALTER TABLE payouts ADD COLUMN IF NOT EXISTS vat_rate DECIMAL(5,4) DEFAULT 0;
+      ALTER TABLE payouts ADD COLUMN IF NOT EXISTS vat_amount DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS payout_id INTEGER REFERENCES payouts(id) ON DELETE SET NULL;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS payout_currency CHAR(3) DEFAULT 'EUR';
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'EUR';
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'EUR';
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS payout_currency CHAR(3);
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS payout_rate DECIMAL(18,8);
+      ALTER TABLE payouts ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'EUR';
+      ALTER TABLE payout_batches ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'EUR';
+      ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'EUR';
+      ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'EUR';
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS referrer VARCHAR(255);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS country CHAR(2);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS device_type VARCHAR(20);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS browser VARCHAR(40);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS allowed_domains TEXT[] DEFAULT '{}';
+      ALTER TABLE affiliate_links ADD COLUMN IF NOT EXISTS label VARCHAR(100);
+      ALTER TABLE affiliate_links ADD COLUMN IF NOT EXISTS destination_url TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS referral_code VARCHAR(20) UNIQUE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS referred_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_preferences JSONB DEFAULT '{}';
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS digest_frequency VARCHAR(10) DEFAULT 'weekly';
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS digest_sent_at TIMESTAMP;
+      ALTER TABLE affiliate_links ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id) ON DELETE SET NULL;
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id) ON DELETE SET NULL;
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id) ON DELETE SET NULL;
+      ALTER TABLE referral_overrides ADD COLUMN IF NOT EXISTS payout_id INTEGER REFERENCES payouts(id) ON DELETE SET NULL;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS utm_template JSONB;
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS sub1 VARCHAR(100);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS sub2 VARCHAR(100);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS sub3 VARCHAR(100);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS sub4 VARCHAR(100);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS sub5 VARCHAR(100);
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS sub1 VARCHAR(100);
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS sub2 VARCHAR(100);
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS sub3 VARCHAR(100);
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS sub4 VARCHAR(100);
+      ALTER TABLE conversions ADD COLUMN IF NOT EXISTS sub5 VARCHAR(100);
+
+      CREATE INDEX IF NOT EXISTS idx_conversions_status ON conversions(status);
+      CREATE INDEX IF NOT EXISTS idx_conversions_order_id ON conversions(order_id);
+      CREATE INDEX IF NOT EXISTS idx_conversion_adjustments_conversion_id ON conversion_adjustments(conversion_id);
+      DROP INDEX IF EXISTS idx_conversions_partner_order;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_conversions_partner_order_link ON conversions(partner_id, order_id, link_id);
+      CREATE INDEX IF NOT EXISTS idx_clicks_visitor_id ON clicks(visitor_id);
+      CREATE INDEX IF NOT EXISTS idx_clicks_ip_address ON clicks(ip_address);
+      CREATE INDEX IF NOT EXISTS idx_fraud_reviews_status ON fraud_reviews(status);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_conversion_adjustments_external_id ON conversion_adjustments(conversion_id, external_id);
+      CREATE INDEX IF NOT EXISTS idx_commission_rules_partner_id ON commission_rules(partner_id);
+      CREATE INDEX IF NOT EXISTS idx_payouts_status ON payouts(status);
+      CREATE INDEX IF NOT EXISTS idx_payouts_batch_id ON payouts(batch_id);
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_user_account ON ledger_entries(user_id, account);
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_conversion_id ON ledger_entries(conversion_id);
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_payout_id ON ledger_entries(payout_id);
+      CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_previous_token_hash ON sessions(previous_token_hash);
+      CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+      CREATE INDEX IF NOT EXISTS idx_product_images_product_id ON product_images(product_id);
+      CREATE INDEX IF NOT EXISTS idx_products_search ON products USING GIN ((setweight(to_tsvector('simple', COALESCE(name, '')), 'A') || setweight(to_tsvector('simple', COALESCE(description, '')), 'B')));
+      CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
+      CREATE INDEX IF NOT EXISTS idx_products_moderation_status ON products(moderation_status);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_product_revisions_pending ON product_revisions(product_id) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_product_moderation_events_product_id ON product_moderation_events(product_id);
+      CREATE INDEX IF NOT EXISTS idx_partner_applications_status ON partner_applications(status);
+      CREATE INDEX IF NOT EXISTS idx_partner_application_events_application_id ON partner_application_events(application_id);
+      CREATE INDEX IF NOT EXISTS idx_conversions_payout_id ON conversions(payout_id);
+      CREATE INDEX IF NOT EXISTS idx_credit_notes_user_id ON credit_notes(user_id);
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_user_currency ON ledger_entries(user_id, currency, account);
+      CREATE INDEX IF NOT EXISTS idx_clicks_link_clicked_at ON clicks(link_id, clicked_at);
+      CREATE INDEX IF NOT EXISTS idx_conversions_link_converted_at ON conversions(link_id, converted_at);
+      CREATE INDEX IF NOT EXISTS idx_stats_daily_day ON stats_daily(day);
+      CREATE INDEX IF NOT EXISTS idx_clicks_clicked_at ON clicks(clicked_at);
+      CREATE INDEX IF NOT EXISTS idx_conversions_converted_at ON conversions(converted_at);
+      CREATE INDEX IF NOT EXISTS idx_partner_affiliate_blocks_affiliate_id ON partner_affiliate_blocks(affiliate_id);
+      CREATE INDEX IF NOT EXISTS idx_affiliate_links_user_product ON affiliate_links(user_id, product_id);
+      CREATE INDEX IF NOT EXISTS idx_affiliate_links_campaign_id ON affiliate_links(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_clicks_campaign_id ON clicks(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_conversions_campaign_id ON conversions(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_campaigns_user_id ON campaigns(user_id);
+      CREATE INDEX IF NOT EXISTS idx_users_referred_by ON users(referred_by);
+      CREATE INDEX IF NOT EXISTS idx_referral_overrides_user_id ON referral_overrides(user_id);
+      CREATE INDEX IF NOT EXISTS idx_referral_overrides_payout_id ON referral_overrides(payout_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_user_id ON webhook_subscriptions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, id);
+      CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+    `);
+
+    if (campaignColumn.rows.length === 0) {
+      await client.query(`
+        UPDATE clicks cl SET campaign_id = al.campaign_id FROM affiliate_links al WHERE cl.link_id = al.id AND al.campaign_id IS NOT NULL;
+        UPDATE conversions c SET campaign_id = al.campaign_id FROM affiliate_links al WHERE c.link_id = al.id AND al.campaign_id IS NOT NULL;
+      `);
+    }
+
+    if (overridePayoutColumn.rows.length === 0) {
+      await client.query(`
+        UPDATE referral_overrides ro SET payout_id = settled.payout_id FROM (
+          SELECT ro.id, SUM(ro.amount - ro.reversed_amount) OVER (PARTITION BY ro.user_id, ro.currency ORDER BY ro.created_at, ro.id) as running,
+            (SELECT SUM(amount) FROM payouts WHERE user_id = ro.user_id AND currency = ro.currency AND status = 'paid') as paid,
+            (SELECT MAX(id) FROM payouts WHERE user_id = ro.user_id AND currency = ro.currency AND status = 'paid') as payout_id
+          FROM referral_overrides ro
+        ) settled WHERE ro.id = settled.id AND settled.running <= settled.paid
+      `);
+    }
+
+    // Bisher freigegebene Conversions wurden in EUR gutgeschrieben
+    await client.query(`UPDATE conversions SET payout_currency = 'EUR', payout_rate = 1 WHERE payout_currency IS NULL AND status IN ('approved', 'paid', 'reversed');`);
+
+    // Kurse: Einheiten der Währung pro 1 EUR (EZB-Konvention); vor dem ersten Kurs gilt der älteste bekannte
+    await client.query(`
+      CREATE OR REPLACE FUNCTION alug_rate(code CHAR(3), on_date DATE DEFAULT CURRENT_DATE) RETURNS NUMERIC AS $$
+        SELECT CASE WHEN code = 'EUR' THEN 1::numeric ELSE COALESCE(
+          (SELECT rate FROM exchange_rates WHERE currency = code AND valid_on <= on_date ORDER BY valid_on DESC LIMIT 1),
+          (SELECT rate FROM exchange_rates WHERE currency = code ORDER BY valid_on ASC LIMIT 1)
+        ) END
+      $$ LANGUAGE SQL STABLE;
+
+      CREATE OR REPLACE FUNCTION alug_convert(amount NUMERIC, from_code CHAR(3), to_code CHAR(3), on_date DATE DEFAULT CURRENT_DATE) RETURNS NUMERIC AS $$
+        SELECT CASE WHEN from_code = to_code THEN amount ELSE ROUND(amount * alug_rate(to_code, on_date) / alug_rate(from_code, on_date), 2) END
+      $$ LANGUAGE SQL STABLE;
+
+      -- Geteilte Sperre auf einen Statistiktag bis zum Ende der Transaktion (siehe rebuildDailyStats)
+      CREATE OR REPLACE FUNCTION alug_stats_lock(on_date DATE) RETURNS BOOLEAN AS $$
+        SELECT pg_advisory_xact_lock_shared(${STATS_LOCK_KEY}, on_date - DATE '2000-01-01');
+        SELECT TRUE;
+      $$ LANGUAGE SQL VOLATILE;
     `);
 
+    // Bestehende Conversions sofort auszahlbar machen (keine Haltefrist rückwirkend)
+    await client.query(`UPDATE conversions SET payable_at = converted_at WHERE payable_at IS NULL;`);
+
+    // Alte Payout-Status auf die State Machine abbilden und das Ledger aus dem Bestand aufbauen
+    await client.query(`UPDATE payouts SET status = 'requested' WHERE status = 'pending';`);
+    await backfillLedger(client);
+
+    // Tagesstatistiken einmalig aus dem Bestand aufbauen
+    const statsExist = await client.query('SELECT 1 FROM stats_daily LIMIT 1');
+    if (statsExist.rows.length === 0) await rebuildDailyStats();
+
     // Bestehende Admin-Produkte als genehmigt markieren
-    await client.query(`UPDATE products SET approved = TRUE WHERE vendor_id IS NULL AND approved = FALSE;`);
+    await client.query(`UPDATE products SET approved = TRUE WHERE vendor_id IS NULL AND approved = FALSE AND moderation_status IS NULL;`);
+
+    // Moderationsstatus aus dem bisherigen approved-Flag ableiten
+    await client.query(`
+      UPDATE products SET moderation_status = CASE WHEN approved THEN 'approved' ELSE 'pending_review' END WHERE moderation_status IS NULL;
+      ALTER TABLE products ALTER COLUMN moderation_status SET DEFAULT 'pending_review';
+    `);
 
     console.log('✅ Database tables created successfully');
   } catch (err) {
@@ -156,7 +765,7 @@ async function createTables() {
   }
 }
 
-createTables();
+const databaseReady = createTables();
 
 // ============================================
 // CREATE ADMIN USER
@@ -166,31 +775,96 @@ async function createAdminUser() {
     const existing = await pool.query('SELECT * FROM users WHERE email = $1', ['admin@alug.com']);
     if (existing.rows.length === 0) {
       const hashed = await bcrypt.hash('admin123', 12);
-      await pool.query('INSERT INTO users (name, email, password, is_admin) VALUES ($1, $2, $3, $4)', ['Admin', 'admin@alug.com', hashed, true]);
+      await pool.query('INSERT INTO users (name, email, password, is_admin, email_verified) VALUES ($1, $2, $3, $4, TRUE)', ['Admin', 'admin@alug.com', hashed, true]);
       console.log('✅ Admin user created');
     }
   } catch (err) {
     console.error('❌ Admin user creation error:', err);
   }
 }
-setTimeout(createAdminUser, 2000);
+
+// ============================================
+// SETTINGS
+// ============================================
+// Plattformweite Schalter, von Admins über /api/admin/settings pflegbar
+// referral_override_rates: Override-Provision in Prozent der Provision des Recruits je Ebene, z.B. [5, 5] für zwei Ebenen
+const SETTINGS_DEFAULTS = {
+  require_admin_2fa: false,
+  require_2fa_for_payout_approval: false,
+  referral_override_rates: []
+};
+
+async function getSetting(key) {
+  const result = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
+  return result.rows.length > 0 ? result.rows[0].value : SETTINGS_DEFAULTS[key];
+}
 
 // ============================================
 // MIDDLEWARE
 // ============================================
-const authenticateToken = (req, res, next) => {
+// Kurzlebige Access-Tokens + rotierende Refresh-Tokens; die Sitzung liegt serverseitig in sessions
+const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-key';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_DAYS = 30;
+
+// twoFactor: Sitzung wurde mit zweitem Faktor eröffnet (Voraussetzung für Admin-Zugriff bei require_admin_2fa)
+async function issueSession(user, req, twoFactor = false) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const result = await pool.query(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at, two_factor)
+     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6), $7) RETURNING id`,
+    [crypto.randomUUID(), user.id, hashToken(refreshToken), req.headers['user-agent'] || null, req.ip, REFRESH_TOKEN_DAYS, twoFactor]
+  );
+  return { token: signAccessToken(user.id, result.rows[0].id), refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+const signAccessToken = (userId, sessionId) => jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+
+async function revokeSessions(userId, exceptSessionId = null) {
+  await pool.query(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2',
+    [userId, exceptSessionId]
+  );
+}
+
+// Rollen und Freigaben kommen bei jedem Request aus der DB, damit Änderungen sofort greifen
+const authenticateToken = async (req, res, next) => {
   const token = req.headers['authorization']?.split(' ')[1];
   if (!token) return res.status(401).json({ error: 'Access token required' });
-  jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key', (err, user) => {
-    if (err) return res.status(403).json({ error: 'Invalid or expired token' });
-    req.user = user;
+
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  if (!claims.sid) return res.status(401).json({ error: 'Invalid or expired token' });
+
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.is_admin, u.is_partner, u.partner_approved, s.two_factor FROM sessions s JOIN users u ON s.user_id = u.id
+       WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+      [claims.sid, claims.userId]
+    );
+    const user = result.rows[0];
+    if (!user) return res.status(401).json({ error: 'Session expired or revoked' });
+    req.user = { userId: user.id, email: user.email, isAdmin: user.is_admin, isPartner: user.is_partner, partnerApproved: user.partner_approved, sessionId: claims.sid, twoFactor: user.two_factor };
     next();
-  });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
 };
 
-const isAdmin = (req, res, next) => {
+const isAdmin = async (req, res, next) => {
   if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin access required' });
-  next();
+  try {
+    if (!req.user.twoFactor && await getSetting('require_admin_2fa')) {
+      return res.status(403).json({ error: 'Two-factor authentication required for admin access', code: 'two_factor_required' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to check admin access' });
+  }
 };
 
 const isPartner = (req, res, next) => {
@@ -199,643 +873,5586 @@ const isPartner = (req, res, next) => {
   next();
 };
 
+// DB-Abfrage statt JWT-Claim, damit eine Bestätigung sofort wirkt
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT email_verified FROM users WHERE id = $1', [req.user.userId]);
+    if (!result.rows[0]?.email_verified) return res.status(403).json({ error: 'Please verify your email address first' });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to check email verification' });
+  }
+};
+
+// Admins verkaufen eigene Produkte (vendor_id NULL) und brauchen dafür ebenfalls Webhook-Zugang
+const isPartnerOrAdmin = (req, res, next) => {
+  if (req.user.isAdmin) return isAdmin(req, res, next);
+  isPartner(req, res, next);
+};
+
+// ============================================
+// MAILER
+// ============================================
+// MAIL_TRANSPORT: smtp (Produktion), file (schreibt .eml nach MAIL_OUTBOX_DIR) oder console (Standard, lokal)
+const MAIL_FROM = process.env.MAIL_FROM || 'ALUG <no-reply@alug.com>';
+
+const mailTransports = {
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return (message) => transporter.sendMail(message);
+  },
+  file: () => {
+    const fs = require('fs');
+    const path = require('path');
+    const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+    return async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const headers = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\nDate: ${new Date().toUTCString()}\n\n`;
+      await fs.promises.writeFile(path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`), headers + message.text);
+    };
+  },
+  console: () => async (message) => {
+    console.log(`📧 Mail an ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+const mailTransportName = mailTransports[process.env.MAIL_TRANSPORT] ? process.env.MAIL_TRANSPORT : 'console';
+const deliverMail = mailTransports[mailTransportName]();
+
+// Versandfehler werden geloggt, damit z.B. eine Registrierung nicht am Mailserver scheitert
+async function sendMail({ to, subject, text }) {
+  try {
+    await deliverMail({ from: MAIL_FROM, to, subject, text });
+  } catch (err) {
+    console.error('❌ Mail delivery error:', err);
+  }
+}
+
+// ============================================
+// TWO-FACTOR AUTH (TOTP, RFC 6238)
+// ============================================
+const TOTP_ISSUER = 'ALUG';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_CHALLENGE = '2fa_challenge';
+// Nach TWO_FACTOR_MAX_ATTEMPTS falschen Codes wird der Login gesperrt. Die Sperre dauert länger als ein
+// Challenge-Token gültig ist, damit wird jede bis dahin ausgestellte Challenge unbrauchbar.
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCKOUT_MINUTES = 15;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0, value = 0, output = '';
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = 0, value = 0;
+  const bytes = [];
+  for (const ch of input.toUpperCase().replace(/=+$/, '')) {
+    const index = BASE32_ALPHABET.indexOf(ch);
+    if (index === -1) continue;
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = (digest.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(binary).padStart(6, '0');
+}
+
+// Liefert den Zeitschritt des gültigen Codes oder null; bereits verwendete Schritte werden abgelehnt
+function matchTotp(secret, code, lastStep) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = current + offset;
+    if (lastStep != null && step <= Number(lastStep)) continue;
+    if (safeEqual(hotp(secret, step), normalized)) return step;
+  }
+  return null;
+}
+
+async function verifyTotp(user, code) {
+  const step = matchTotp(user.totp_secret, code, user.totp_last_step);
+  if (step === null) return false;
+  // Bedingtes Update verhindert, dass derselbe Code parallel zweimal eingelöst wird
+  const result = await pool.query(
+    'UPDATE users SET totp_last_step = $1 WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1) RETURNING id',
+    [step, user.id]
+  );
+  return result.rows.length > 0;
+}
+
+async function useRecoveryCode(userId, code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  if (!normalized) return false;
+  const result = await pool.query(
+    'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id',
+    [userId, hashToken(normalized)]
+  );
+  return result.rows.length > 0;
+}
+
+// Neue Codes ersetzen alle bisherigen; im Klartext werden sie nur einmal zurückgegeben
+async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  await pool.query(
+    'INSERT INTO recovery_codes (user_id, code_hash) SELECT $1, unnest($2::text[])',
+    [userId, codes.map(hashToken)]
+  );
+  return codes;
+}
+
+// Zweiter Faktor per TOTP-Code oder einmaligem Recovery-Code
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode) return useRecoveryCode(user.id, recoveryCode);
+  return verifyTotp(user, code);
+}
+
 // ============================================
 // AUTH ROUTES
 // ============================================
+const TOKEN_TTL_HOURS = { verify_email: 48, reset_password: 1, change_email: 24 };
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const isValidEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || ''));
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Nur der Hash wird gespeichert; ältere offene Tokens desselben Zwecks werden ungültig
+async function issueUserToken(userId, purpose, newEmail = null) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await pool.query('DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL', [userId, purpose]);
+  await pool.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, new_email, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(hours => $5))`,
+    [userId, purpose, hashToken(token), newEmail, TOKEN_TTL_HOURS[purpose]]
+  );
+  return token;
+}
+
+// Löst ein Token genau einmal ein; abgelaufene oder bereits benutzte Tokens liefern null
+async function consumeUserToken(token, purpose) {
+  if (!token) return null;
+  const result = await pool.query(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP RETURNING *`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0] || null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user.id, 'verify_email');
+  await sendMail({
+    to: user.email,
+    subject: 'Bitte bestätige deine E-Mail-Adresse',
+    text: `Hallo ${user.name},\n\nbitte bestätige deine E-Mail-Adresse für ALUG:\n${FRONTEND_URL}/verify-email?token=${token}\n\nDer Link ist ${TOKEN_TTL_HOURS.verify_email} Stunden gültig.`
+  });
+}
+
 app.post('/api/auth/register', async (req, res) => {
   try {
-    const { name, email, password } = req.body;
-    const existing = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    const { name, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+    if (!isValidEmail(email)) return res.status(400).json({ error: 'Invalid email address' });
+    const existing = await pool.query('SELECT * FROM users WHERE LOWER(email) = $1', [email]);
     if (existing.rows.length > 0) return res.status(400).json({ error: 'Email already registered' });
+    const referral = await findReferrer(req.body.referralCode);
+    if (referral.error) return res.status(400).json({ error: referral.error });
 
     const hashed = await bcrypt.hash(password, 12);
     const result = await pool.query(
-      'INSERT INTO users (name, email, password) VALUES ($1, $2, $3) RETURNING id, name, email, is_admin, is_partner, partner_approved',
-      [name || email, email, hashed]
+      'INSERT INTO users (name, email, password, referral_code, referred_by) VALUES ($1, $2, $3, $4, $5) RETURNING id, name, email, is_admin, is_partner, partner_approved, email_verified',
+      [name || email, email, hashed, generateReferralCode(), referral.referrer]
     );
     const user = result.rows[0];
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, isAdmin: user.is_admin, isPartner: user.is_partner, partnerApproved: user.partner_approved },
-      process.env.JWT_SECRET || 'default-secret-key',
-      { expiresIn: '7d' }
-    );
-    res.json({ token, user: { id: user.id, name: user.name, email: user.email, isAdmin: user.is_admin, isPartner: user.is_partner, partnerApproved: user.partner_approved } });
+    rememberUserIp(user.id, req.ip);
+    await sendVerificationEmail(user);
+    const tokens = await issueSession(user, req);
+    res.json({ ...tokens, user: { id: user.id, name: user.name, email: user.email, isAdmin: user.is_admin, isPartner: user.is_partner, partnerApproved: user.partner_approved, emailVerified: user.email_verified } });
   } catch (err) {
     console.error('Registration error:', err);
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
+// Firmendaten können direkt mitgeschickt oder später über PUT /api/partner/application eingereicht werden
 app.post('/api/auth/register-partner', async (req, res) => {
+  const { name, password } = req.body;
+  const email = normalizeEmail(req.body.email);
+  if (!isValidEmail(email)) return res.status(400).json({ error: 'Invalid email address' });
+  const parsed = req.body.companyName !== undefined ? parsePartnerApplication(req.body) : null;
+  if (parsed?.error) return res.status(400).json({ error: parsed.error });
+
+  const client = await pool.connect();
   try {
-    const { name, email, password } = req.body;
-    const existing = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    const existing = await client.query('SELECT * FROM users WHERE LOWER(email) = $1', [email]);
     if (existing.rows.length > 0) return res.status(400).json({ error: 'Email already registered' });
 
     const hashed = await bcrypt.hash(password, 12);
-    const result = await pool.query(
+    await client.query('BEGIN');
+    const result = await client.query(
       'INSERT INTO users (name, email, password, is_partner, partner_approved) VALUES ($1, $2, $3, TRUE, FALSE) RETURNING id, name, email, is_admin, is_partner, partner_approved',
-      [name || email, email, hashed]
+      [name || parsed?.values.contact_name || email, email, hashed]
     );
     const user = result.rows[0];
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, isAdmin: false, isPartner: true, partnerApproved: false },
-      process.env.JWT_SECRET || 'default-secret-key',
-      { expiresIn: '7d' }
-    );
-    res.json({ token, user: { id: user.id, name: user.name, email: user.email, isAdmin: false, isPartner: true, partnerApproved: false } });
+    if (parsed) await submitPartnerApplication(client, user.id, parsed.values);
+    await client.query('COMMIT');
+
+    rememberUserIp(user.id, req.ip);
+    await sendVerificationEmail(user);
+    const tokens = await issueSession(user, req);
+    res.json({
+      ...tokens,
+      user: { id: user.id, name: user.name, email: user.email, isAdmin: false, isPartner: true, partnerApproved: false, emailVerified: false },
+      applicationStatus: parsed ? 'pending' : null
+    });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Partner registration error:', err);
     res.status(500).json({ error: 'Registration failed' });
+  } finally {
+    client.release();
   }
 });
 
 app.post('/api/auth/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
-    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    const { password } = req.body;
+    const result = await pool.query('SELECT * FROM users WHERE LOWER(email) = $1', [normalizeEmail(req.body.email)]);
     if (result.rows.length === 0) return res.status(401).json({ error: 'Invalid credentials' });
 
     const user = result.rows[0];
     const valid = await bcrypt.compare(password, user.password);
     if (!valid) return res.status(401).json({ error: 'Invalid credentials' });
+    rememberUserIp(user.id, req.ip);
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, isAdmin: user.is_admin, isPartner: user.is_partner, partnerApproved: user.partner_approved },
-      process.env.JWT_SECRET || 'default-secret-key',
-      { expiresIn: '7d' }
-    );
-    res.json({ token, user: { id: user.id, name: user.name, email: user.email, isAdmin: user.is_admin, isPartner: user.is_partner, partnerApproved: user.partner_approved } });
+    // Mit aktivem 2FA gibt es zunächst nur ein kurzlebiges Challenge-Token für /api/auth/login/2fa
+    if (user.totp_enabled) {
+      const challengeToken = jwt.sign({ userId: user.id, purpose: TWO_FACTOR_CHALLENGE }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+      return res.json({ twoFactorRequired: true, challengeToken });
+    }
+
+    const tokens = await issueSession(user, req);
+    res.json({ ...tokens, user: { id: user.id, name: user.name, email: user.email, isAdmin: user.is_admin, isPartner: user.is_partner, partnerApproved: user.partner_approved, emailVerified: user.email_verified } });
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// ============================================
-// PRODUCT ROUTES (Public / Admin)
-// ============================================
-app.get('/api/products', async (req, res) => {
+app.post('/api/auth/login/2fa', async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM products WHERE approved = TRUE ORDER BY created_at DESC');
-    res.json(result.rows);
+    let claims;
+    try {
+      claims = jwt.verify(req.body.challengeToken || '', JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+    if (claims.purpose !== TWO_FACTOR_CHALLENGE) return res.status(401).json({ error: 'Invalid or expired challenge' });
+
+    const result = await pool.query('SELECT * FROM users WHERE id = $1 AND totp_enabled = TRUE', [claims.userId]);
+    const user = result.rows[0];
+    if (!user) return res.status(401).json({ error: 'Invalid or expired challenge' });
+    // Der Versuch wird vor der Prüfung gezählt, damit parallele Anfragen die Grenze nicht umgehen;
+    // der letzte erlaubte Versuch setzt die Sperre gleich mit, ein richtiger Code hebt sie wieder auf
+    const attempt = await pool.query(
+      `UPDATE users SET
+        totp_locked_until = CASE WHEN totp_failed_attempts + 1 >= $2 THEN CURRENT_TIMESTAMP + make_interval(mins => $3) ELSE NULL END,
+        totp_failed_attempts = CASE WHEN totp_failed_attempts + 1 >= $2 THEN 0 ELSE totp_failed_attempts + 1 END
+       WHERE id = $1 AND (totp_locked_until IS NULL OR totp_locked_until <= CURRENT_TIMESTAMP)
+       RETURNING totp_locked_until`,
+      [user.id, TWO_FACTOR_MAX_ATTEMPTS, TWO_FACTOR_LOCKOUT_MINUTES]
+    );
+    if (attempt.rows.length === 0) return res.status(429).json({ error: 'Too many failed two-factor attempts, try again later' });
+    if (!(await verifySecondFactor(user, req.body))) {
+      if (attempt.rows[0].totp_locked_until) {
+        console.warn(`⚠️ 2FA login locked for user ${user.id} after ${TWO_FACTOR_MAX_ATTEMPTS} failed attempts`);
+        return res.status(429).json({ error: 'Too many failed two-factor attempts, try again later' });
+      }
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+    await pool.query('UPDATE users SET totp_failed_attempts = 0, totp_locked_until = NULL WHERE id = $1', [user.id]);
+
+    const tokens = await issueSession(user, req, true);
+    res.json({ ...tokens, user: { id: user.id, name: user.name, email: user.email, isAdmin: user.is_admin, isPartner: user.is_partner, partnerApproved: user.partner_approved, emailVerified: user.email_verified } });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch products' });
+    console.error('2FA login error:', err);
+    res.status(500).json({ error: 'Login failed' });
   }
 });
 
-app.get('/api/products/:id', async (req, res) => {
+app.post('/api/auth/verify-email', async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM products WHERE id = $1', [req.params.id]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
-    res.json(result.rows[0]);
+    const record = await consumeUserToken(req.body.token, 'verify_email');
+    if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+    await pool.query('UPDATE users SET email_verified = TRUE WHERE id = $1', [record.user_id]);
+    res.json({ success: true, message: 'Email verified' });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch product' });
+    res.status(500).json({ error: 'Failed to verify email' });
   }
 });
 
-app.post('/api/products', authenticateToken, isAdmin, async (req, res) => {
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
   try {
-    const { name, description, price, priceValue, type, commissionType, commissionValue, category, imageData, productUrl, attributionDays } = req.body;
-    const result = await pool.query(
-      'INSERT INTO products (name, description, price, price_value, type, commission_type, commission_value, category, image_data, product_url, attribution_days, approved) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,TRUE) RETURNING *',
-      [name, description, price, priceValue, type, commissionType, commissionValue, category, imageData, productUrl, attributionDays || 30]
-    );
-    res.json(result.rows[0]);
+    const result = await pool.query('SELECT id, name, email, email_verified FROM users WHERE id = $1', [req.user.userId]);
+    const user = result.rows[0];
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.email_verified) return res.status(400).json({ error: 'Email already verified' });
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: 'Verification email sent' });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to send verification email' });
   }
 });
 
-app.put('/api/products/:id', authenticateToken, isAdmin, async (req, res) => {
+// Antwortet immer gleich, damit sich registrierte Adressen nicht ausspähen lassen
+app.post('/api/auth/forgot-password', async (req, res) => {
   try {
-    const { name, description, price, priceValue, type, commissionType, commissionValue, category, imageData, productUrl, attributionDays } = req.body;
-    const result = await pool.query(
-      `UPDATE products SET name=$1, description=$2, price=$3, price_value=$4, type=$5, commission_type=$6, commission_value=$7, category=$8, image_data=$9, product_url=$10, attribution_days=$11 WHERE id=$12 RETURNING *`,
-      [name, description, price, priceValue, type, commissionType, commissionValue, category, imageData, productUrl, attributionDays || 30, req.params.id]
-    );
+    const result = await pool.query('SELECT id, name, email FROM users WHERE LOWER(email) = $1', [normalizeEmail(req.body.email)]);
+    const user = result.rows[0];
+    if (user) {
+      const token = await issueUserToken(user.id, 'reset_password');
+      await sendMail({
+        to: user.email,
+        subject: 'Passwort zurücksetzen',
+        text: `Hallo ${user.name},\n\nüber folgenden Link kannst du ein neues Passwort festlegen:\n${FRONTEND_URL}/reset-password?token=${token}\n\nDer Link ist ${TOKEN_TTL_HOURS.reset_password} Stunde gültig. Falls du das nicht angefordert hast, ignoriere diese E-Mail.`
+      });
+    }
+    res.json({ success: true, message: 'If the email is registered, a reset link has been sent' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password) return res.status(400).json({ error: 'Password is required' });
+    const record = await consumeUserToken(token, 'reset_password');
+    if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    // Wer den Reset-Link erhalten hat, besitzt auch die Adresse
+    const hashed = await bcrypt.hash(password, 12);
+    await pool.query('UPDATE users SET password = $1, email_verified = TRUE WHERE id = $2', [hashed, record.user_id]);
+    await revokeSessions(record.user_id);
+    res.json({ success: true, message: 'Password updated' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Neue Adresse wird erst nach Bestätigung über den an sie gesendeten Link übernommen
+app.post('/api/auth/change-email', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const newEmail = normalizeEmail(req.body.newEmail);
+    if (!isValidEmail(newEmail)) return res.status(400).json({ error: 'Invalid email address' });
+
+    const result = await pool.query('SELECT id, name, email, password FROM users WHERE id = $1', [req.user.userId]);
+    const user = result.rows[0];
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!(await bcrypt.compare(password || '', user.password))) return res.status(401).json({ error: 'Invalid password' });
+    if (newEmail === normalizeEmail(user.email)) return res.status(400).json({ error: 'New email matches current email' });
+
+    const taken = await pool.query('SELECT id FROM users WHERE LOWER(email) = $1', [newEmail]);
+    if (taken.rows.length > 0) return res.status(400).json({ error: 'Email already registered' });
+
+    const token = await issueUserToken(user.id, 'change_email', newEmail);
+    await sendMail({
+      to: newEmail,
+      subject: 'Neue E-Mail-Adresse bestätigen',
+      text: `Hallo ${user.name},\n\nbitte bestätige deine neue E-Mail-Adresse für ALUG:\n${FRONTEND_URL}/confirm-email-change?token=${token}\n\nDer Link ist ${TOKEN_TTL_HOURS.change_email} Stunden gültig.`
+    });
+    res.json({ success: true, message: 'Confirmation email sent to the new address' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to request email change' });
+  }
+});
+
+app.post('/api/auth/confirm-email-change', async (req, res) => {
+  try {
+    const record = await consumeUserToken(req.body.token, 'change_email');
+    if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    const previous = await pool.query('SELECT name, email FROM users WHERE id = $1', [record.user_id]);
+    try {
+      await pool.query('UPDATE users SET email = $1, email_verified = TRUE WHERE id = $2', [record.new_email, record.user_id]);
+    } catch (err) {
+      if (err.code === '23505') return res.status(400).json({ error: 'Email already registered' });
+      throw err;
+    }
+
+    const { name, email } = previous.rows[0];
+    await sendMail({
+      to: email,
+      subject: 'Deine E-Mail-Adresse wurde geändert',
+      text: `Hallo ${name},\n\ndie E-Mail-Adresse deines ALUG-Kontos wurde auf ${record.new_email} geändert. Falls du das nicht warst, kontaktiere bitte sofort den Support.`
+    });
+    res.json({ success: true, email: record.new_email });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: 'Refresh token required' });
+
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = crypto.randomBytes(48).toString('hex');
+    const result = await pool.query(
+      `UPDATE sessions SET previous_token_hash = refresh_token_hash, refresh_token_hash = $2, last_used_at = CURRENT_TIMESTAMP,
+        ip_address = $3, expires_at = CURRENT_TIMESTAMP + make_interval(days => $4)
+       WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP RETURNING id, user_id`,
+      [tokenHash, hashToken(nextToken), req.ip, REFRESH_TOKEN_DAYS]
+    );
+
+    if (result.rows.length === 0) {
+      // Ein bereits rotiertes Token wurde erneut benutzt – vermutlich gestohlen, daher Sitzung beenden
+      const reused = await pool.query(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE previous_token_hash = $1 AND revoked_at IS NULL RETURNING id',
+        [tokenHash]
+      );
+      return res.status(401).json({ error: reused.rows.length > 0 ? 'Refresh token reuse detected, session revoked' : 'Invalid or expired refresh token' });
+    }
+
+    const { id, user_id } = result.rows[0];
+    res.json({ token: signAccessToken(user_id, id), refreshToken: nextToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await pool.query('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [req.user.sessionId]);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessions(req.user.userId);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at, id = $2 as current FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP ORDER BY last_used_at DESC`,
+      [req.user.userId, req.user.sessionId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+    const result = await pool.query(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id',
+      [req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+scheduleJob(() => {
+  pool.query(`DELETE FROM sessions WHERE expires_at < NOW() OR revoked_at < NOW() - make_interval(days => $1)`, [REFRESH_TOKEN_DAYS])
+    .catch(err => console.error('❌ Session cleanup error:', err));
+}, 60 * 60 * 1000);
+
+app.post('/api/auth/2fa/enroll', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT email, totp_enabled FROM users WHERE id = $1', [req.user.userId]);
+    if (result.rows[0].totp_enabled) return res.status(400).json({ error: 'Two-factor authentication already enabled' });
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await pool.query('UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2', [secret, req.user.userId]);
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${result.rows[0].email}`);
+    res.json({
+      secret,
+      otpauthUri: `otpauth://totp/${label}?secret=${secret}&issuer=${TOTP_ISSUER}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to start two-factor enrollment' });
+  }
+});
+
+// Erster gültiger Code schaltet 2FA frei; die aktuelle Sitzung gilt ab dann als 2FA-bestätigt
+app.post('/api/auth/2fa/confirm', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    const user = result.rows[0];
+    if (user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication already enabled' });
+    if (!user.totp_secret) return res.status(400).json({ error: 'Start enrollment first' });
+    if (!(await verifyTotp(user, req.body.code))) return res.status(400).json({ error: 'Invalid two-factor code' });
+
+    await pool.query('UPDATE users SET totp_enabled = TRUE WHERE id = $1', [user.id]);
+    await pool.query('UPDATE sessions SET two_factor = TRUE WHERE id = $1', [req.user.sessionId]);
+    await revokeSessions(user.id, req.user.sessionId);
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    const user = result.rows[0];
+    if (!user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication not enabled' });
+    if (!(await verifyTotp(user, req.body.code))) return res.status(400).json({ error: 'Invalid two-factor code' });
+    res.json({ recoveryCodes: await generateRecoveryCodes(user.id) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    const user = result.rows[0];
+    if (!user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication not enabled' });
+    if (!(await bcrypt.compare(req.body.password || '', user.password))) return res.status(401).json({ error: 'Invalid password' });
+    if (user.is_admin && await getSetting('require_admin_2fa')) return res.status(400).json({ error: 'Two-factor authentication is required for admin accounts' });
+    if (!(await verifySecondFactor(user, req.body))) return res.status(400).json({ error: 'Invalid two-factor code' });
+
+    await pool.query('UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL WHERE id = $1', [user.id]);
+    await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [user.id]);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// ============================================
+// IMAGE STORAGE
+// ============================================
+// STORAGE_DRIVER: local (Standard, Dateien unter UPLOAD_DIR, ausgeliefert über /uploads) oder s3 (S3-kompatibel)
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const IMAGE_MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 400;
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const storageDrivers = {
+  local: () => {
+    const fs = require('fs');
+    return {
+      async put(key, buffer) {
+        const file = path.join(UPLOAD_DIR, key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+        return `${BACKEND_URL}/uploads/${key}`;
+      },
+      async remove(key) {
+        await fs.promises.rm(path.join(UPLOAD_DIR, key), { force: true });
+      }
+    };
+  },
+  s3: () => {
+    const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const bucket = process.env.S3_BUCKET;
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'auto',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+    const publicUrl = (process.env.S3_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`).replace(/\/$/, '');
+    return {
+      async put(key, buffer, contentType) {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket, Key: key, Body: buffer, ContentType: contentType, CacheControl: 'public, max-age=31536000, immutable'
+        }));
+        return `${publicUrl}/${key}`;
+      },
+      async remove(key) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      }
+    };
+  }
+};
+
+const storageDriverName = storageDrivers[process.env.STORAGE_DRIVER] ? process.env.STORAGE_DRIVER : 'local';
+const storage = storageDrivers[storageDriverName]();
+
+if (storageDriverName === 'local') {
+  app.use('/uploads', express.static(UPLOAD_DIR, { maxAge: '365d', immutable: true }));
+}
+
+// Prüft den tatsächlichen Inhalt (nicht nur den MIME-Typ), skaliert herunter und erzeugt ein Thumbnail.
+// Gibt die gespeicherte product_images-Zeile zurück oder { error }.
+async function storeProductImage(buffer, { uploadedBy, productId = null }) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    return { error: 'File is not a valid image' };
+  }
+  if (!IMAGE_FORMATS.includes(metadata.format)) return { error: `Image must be one of: ${IMAGE_FORMATS.join(', ')}` };
+
+  const image = sharp(buffer).rotate();
+  const main = await image.clone()
+    .resize({ width: IMAGE_MAX_DIMENSION, height: IMAGE_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 85 }).toBuffer({ resolveWithObject: true });
+  const thumbnail = await image.clone()
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'cover' })
+    .webp({ quality: 80 }).toBuffer();
+
+  const key = `products/${crypto.randomUUID()}`;
+  const url = await storage.put(`${key}.webp`, main.data, 'image/webp');
+  const thumbnailUrl = await storage.put(`${key}-thumb.webp`, thumbnail, 'image/webp');
+
+  const result = await pool.query(
+    `INSERT INTO product_images (product_id, uploaded_by, storage_key, url, thumbnail_url, width, height, size_bytes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [productId, uploadedBy, key, url, thumbnailUrl, main.info.width, main.info.height, main.data.length]
+  );
+  return result.rows[0];
+}
+
+// imageId im Produkt-Body: undefined = unverändert, null = Bild entfernen, sonst eigener Upload (Admins: beliebiger).
+// Base64-Bilder (imageData) werden nicht mehr angenommen.
+async function resolveProductImage({ imageId, imageData }, user) {
+  if (imageData !== undefined) return { error: 'imageData is no longer supported, upload the image to /api/images and pass imageId' };
+  if (imageId === undefined) return { keep: true };
+  if (imageId === null) return { url: null, thumbnailUrl: null };
+  const result = await pool.query(
+    'SELECT id, url, thumbnail_url FROM product_images WHERE id = $1 AND ($2 OR uploaded_by = $3)',
+    [parseInt(imageId) || 0, Boolean(user.isAdmin), user.userId]
+  );
+  if (result.rows.length === 0) return { error: 'Image not found' };
+  return { id: result.rows[0].id, url: result.rows[0].url, thumbnailUrl: result.rows[0].thumbnail_url };
+}
+
+async function applyProductImage(product, image) {
+  if (image.keep) return product;
+  const result = await pool.query('UPDATE products SET image_url = $1, thumbnail_url = $2 WHERE id = $3 RETURNING *', [image.url, image.thumbnailUrl, product.id]);
+  if (image.id) await pool.query('UPDATE product_images SET product_id = $1 WHERE id = $2', [product.id, image.id]);
+  return result.rows[0];
+}
+
+// Einmalige Migration der alten Base64-Blobs; die Spalte entfällt, sobald alle Bilder übernommen sind
+async function migrateProductImages() {
+  const column = await pool.query(`SELECT 1 FROM information_schema.columns WHERE table_name = 'products' AND column_name = 'image_data'`);
+  if (column.rows.length === 0) return;
+
+  const products = await pool.query(`SELECT id, vendor_id, image_data FROM products WHERE image_data IS NOT NULL AND image_data <> ''`);
+  let failed = 0;
+  for (const product of products.rows) {
+    try {
+      const base64 = product.image_data.replace(/^data:[^;]+;base64,/, '');
+      const image = await storeProductImage(Buffer.from(base64, 'base64'), { uploadedBy: product.vendor_id, productId: product.id });
+      if (image.error) throw new Error(image.error);
+      await pool.query('UPDATE products SET image_url = $1, thumbnail_url = $2, image_data = NULL WHERE id = $3', [image.url, image.thumbnail_url, product.id]);
+    } catch (err) {
+      failed++;
+      console.error(`❌ Image migration failed for product ${product.id}:`, err.message);
+    }
+  }
+
+  if (failed === 0) {
+    await pool.query('ALTER TABLE products DROP COLUMN IF EXISTS image_data');
+    console.log(`✅ Migrated ${products.rows.length} product images to storage`);
+  }
+}
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => callback(null, IMAGE_FORMATS.some(format => file.mimetype === `image/${format}`))
+}).single('image');
+
+// Multipart-Upload (Feld "image"); die zurückgegebene id wird beim Anlegen/Bearbeiten als imageId übergeben
+app.post('/api/images', authenticateToken, isPartnerOrAdmin, (req, res) => {
+  imageUpload(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      const tooLarge = uploadErr.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? `Image must be smaller than ${IMAGE_MAX_BYTES / 1024 / 1024}MB` : 'Invalid upload' });
+    }
+    if (!req.file) return res.status(400).json({ error: `Field "image" with one of: ${IMAGE_FORMATS.join(', ')} required` });
+
+    try {
+      const image = await storeProductImage(req.file.buffer, { uploadedBy: req.user.userId });
+      if (image.error) return res.status(400).json({ error: image.error });
+      res.status(201).json({ id: image.id, url: image.url, thumbnailUrl: image.thumbnail_url, width: image.width, height: image.height });
+    } catch (err) {
+      console.error('Image upload error:', err);
+      res.status(500).json({ error: 'Failed to upload image' });
+    }
+  });
+});
+
+// ============================================
+// CURRENCIES
+// ============================================
+// Basiswährung ist EUR; weitere Währungen sind nutzbar, sobald ein Kurs hinterlegt ist.
+// Kurse pflegen Admins manuell oder per Import der EZB-Referenzkurse (eurofxref-daily.xml / eurofxref-hist.xml).
+const BASE_CURRENCY = 'EUR';
+
+const normalizeCurrency = (value) => String(value || '').trim().toUpperCase();
+
+async function isKnownCurrency(code) {
+  if (code === BASE_CURRENCY) return true;
+  if (!/^[A-Z]{3}$/.test(code)) return false;
+  const result = await pool.query('SELECT 1 FROM exchange_rates WHERE currency = $1 LIMIT 1', [code]);
+  return result.rows.length > 0;
+}
+
+// Faktor für Beträge in from, um sie in to auszudrücken (aktueller Kurs)
+async function exchangeRate(from, to, db = pool) {
+  if (from === to) return 1;
+  const result = await db.query('SELECT alug_rate($2) / alug_rate($1) as rate', [from, to]);
+  return parseFloat(result.rows[0].rate);
+}
+
+// Liefert { currency } oder { error }; ohne Angabe gilt fallback
+async function resolveCurrency(value, fallback = BASE_CURRENCY) {
+  const currency = value ? normalizeCurrency(value) : fallback;
+  if (!(await isKnownCurrency(currency))) return { error: `Unsupported currency ${currency}` };
+  return { currency };
+}
+
+// SQL-Ausdruck für Berichte: Betrag einer Conversion c zum Kurs des Conversion-Tages in der Zielwährung
+const convertedSql = (expression, target) => `alug_convert(${expression}, c.currency, ${target}, c.converted_at::date)`;
+
+// Tagesblöcke <Cube time="..."> mit <Cube currency="USD" rate="1.0845"/>
+function parseEcbXml(xml) {
+  const rates = [];
+  for (const [, day, body] of String(xml).matchAll(/<Cube\s+time=['"](\d{4}-\d{2}-\d{2})['"]\s*>([\s\S]*?)<\/Cube>/g)) {
+    for (const [, currency, rate] of body.matchAll(/<Cube\s+currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]\s*\/>/g)) {
+      rates.push({ currency, validOn: day, rate: parseFloat(rate) });
+    }
+  }
+  return rates;
+}
+
+async function saveExchangeRates(rates, { source, userId }) {
+  await pool.query(
+    `INSERT INTO exchange_rates (currency, valid_on, rate, source, updated_by)
+     SELECT currency, valid_on, rate, $4, $5 FROM unnest($1::char(3)[], $2::date[], $3::numeric[]) AS r(currency, valid_on, rate)
+     ON CONFLICT (currency, valid_on) DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+    [rates.map(r => r.currency), rates.map(r => r.validOn), rates.map(r => r.rate), source, userId]
+  );
+  // In EUR geführte Tagesstatistiken ab dem frühesten geänderten Kurs im Hintergrund neu berechnen
+  scheduleStatsRebuild(rates.map(r => r.validOn).sort()[0]);
+}
+
+app.get('/api/currencies', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (currency) currency, rate, valid_on FROM exchange_rates
+       WHERE valid_on <= CURRENT_DATE ORDER BY currency, valid_on DESC`
+    );
+    res.json({ base: BASE_CURRENCY, currencies: [{ currency: BASE_CURRENCY, rate: '1', valid_on: null }, ...result.rows] });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch currencies' });
+  }
+});
+
+app.get('/api/admin/exchange-rates', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const currency = req.query.currency ? normalizeCurrency(req.query.currency) : null;
+    const result = await pool.query(
+      `SELECT * FROM exchange_rates WHERE ($1::text IS NULL OR currency = $1)
+       ORDER BY valid_on DESC, currency LIMIT 500`,
+      [currency]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch exchange rates' });
+  }
+});
+
+app.put('/api/admin/exchange-rates/:currency', authenticateToken, isAdmin, async (req, res) => {
+  const currency = normalizeCurrency(req.params.currency);
+  const rate = parseFloat(req.body.rate);
+  const validOn = req.body.validOn || new Date().toISOString().slice(0, 10);
+  if (!/^[A-Z]{3}$/.test(currency) || currency === BASE_CURRENCY) return res.status(400).json({ error: 'currency must be an ISO 4217 code other than EUR' });
+  if (!(rate > 0)) return res.status(400).json({ error: 'rate must be a positive number (units per 1 EUR)' });
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(validOn) || isNaN(Date.parse(validOn))) return res.status(400).json({ error: 'validOn must be a date (YYYY-MM-DD)' });
+  try {
+    await saveExchangeRates([{ currency, validOn, rate }], { source: 'manual', userId: req.user.userId });
+    const result = await pool.query('SELECT * FROM exchange_rates WHERE currency = $1 AND valid_on = $2', [currency, validOn]);
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save exchange rate' });
+  }
+});
+
+const ratesUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } }).single('file');
+
+// Multipart-Upload (Feld "file") einer von der EZB heruntergeladenen XML-Datei
+app.post('/api/admin/exchange-rates/import', authenticateToken, isAdmin, (req, res) => {
+  ratesUpload(req, res, async (uploadErr) => {
+    if (uploadErr) return res.status(uploadErr.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: 'Invalid upload' });
+    if (!req.file) return res.status(400).json({ error: 'Field "file" with the ECB XML file required' });
+
+    const rates = parseEcbXml(req.file.buffer.toString('utf8'));
+    if (rates.length === 0) return res.status(400).json({ error: 'No exchange rates found in file' });
+    try {
+      await saveExchangeRates(rates, { source: 'ecb', userId: req.user.userId });
+      const days = [...new Set(rates.map(r => r.validOn))].sort();
+      res.json({ imported: rates.length, currencies: [...new Set(rates.map(r => r.currency))].length, from: days[0], to: days[days.length - 1] });
+    } catch (err) {
+      console.error('Exchange rate import error:', err);
+      res.status(500).json({ error: 'Failed to import exchange rates' });
+    }
+  });
+});
+
+// ============================================
+// PRODUCT ROUTES (Public / Admin)
+// ============================================
+// Suchvektor als Ausdruck (nicht als Spalte), damit er nicht in SELECT p.* landet; muss exakt dem Index entsprechen
+const PRODUCT_SEARCH_VECTOR = `(setweight(to_tsvector('simple', COALESCE(p.name, '')), 'A') || setweight(to_tsvector('simple', COALESCE(p.description, '')), 'B'))`;
+// Öffentliche Spalten; SELECT * würde auf nicht migrierten Datenbanken noch image_data mitliefern
+const PRODUCT_COLUMNS = ['id', 'name', 'description', 'price', 'price_value', 'currency', 'type', 'commission_type', 'commission_value', 'category',
+  'image_url', 'thumbnail_url', 'product_url', 'attribution_days', 'attribution_model', 'hold_days', 'utm_template', 'vendor_id', 'approved',
+  'moderation_status', 'rejection_reason', 'created_at'];
+const CATALOG_PAGE_SIZE = 24;
+const CATALOG_MAX_PAGE_SIZE = 100;
+
+// Preisfilter und -sortierung vergleichen in EUR, damit Produkte in anderen Währungen vergleichbar sind
+const CATALOG_PRICE = `alug_convert(p.price_value, p.currency, 'EUR')`;
+
+// Sortierschlüssel für Keyset-Pagination; id dient jeweils als Tie-Breaker
+const CATALOG_SORTS = {
+  newest: { expr: 'p.created_at', type: 'timestamp', dir: 'DESC' },
+  commission: { expr: 'COALESCE(p.commission_value, 0)', type: 'numeric', dir: 'DESC' },
+  price_asc: { expr: `COALESCE(${CATALOG_PRICE}, 'Infinity')`, type: 'numeric', dir: 'ASC' },
+  price_desc: { expr: `COALESCE(${CATALOG_PRICE}, '-Infinity')`, type: 'numeric', dir: 'DESC' },
+  conversion_rate: { expr: 'stats.conversion_rate', type: 'numeric', dir: 'DESC' },
+  relevance: { expr: `ts_rank(${PRODUCT_SEARCH_VECTOR}, search.query)`, type: 'real', dir: 'DESC' }
+};
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+// Der Sortwert muss zum Typ der Sortierung passen, sonst scheitert der Cast erst in Postgres
+const isCursorValue = (value, type) => typeof value === 'string' && value !== '' &&
+  (type === 'timestamp' ? !isNaN(Date.parse(value)) : !isNaN(Number(value)));
+
+function decodeCursor(cursor, type) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return Number.isInteger(id) && id > 0 && id <= 2147483647 && isCursorValue(value, type) ? { value, id } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Präfixsuche über alle Wörter: "yoga kur" findet "Yoga-Kurs"
+const toPrefixQuery = (text) => (String(text).match(/[\p{L}\p{N}]+/gu) || []).map(word => `${word}:*`).join(' & ');
+
+app.get('/api/products', async (req, res) => {
+  try {
+    const { q, category, type, commissionType, minPrice, maxPrice, minCommission, cursor } = req.query;
+    const search = q ? toPrefixQuery(q) : '';
+    const sortName = req.query.sort || (search ? 'relevance' : 'newest');
+    const sort = CATALOG_SORTS[sortName];
+    if (!sort || (sortName === 'relevance' && !search)) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(CATALOG_SORTS).join(', ')} (relevance requires q)` });
+    }
+    // Ohne limit/cursor bleibt es beim bisherigen Format: ein Array aller Treffer
+    const paginated = req.query.limit !== undefined || cursor !== undefined;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || CATALOG_PAGE_SIZE, 1), CATALOG_MAX_PAGE_SIZE);
+
+    const params = [];
+    const param = (value) => { params.push(value); return `$${params.length}`; };
+    const conditions = ['p.approved = TRUE'];
+
+    if (search) conditions.push(`${PRODUCT_SEARCH_VECTOR} @@ search.query`);
+    if (category) conditions.push(`p.category = ANY(${param(String(category).split(','))})`);
+    if (type) conditions.push(`p.type = ${param(type)}`);
+    if (commissionType) conditions.push(`p.commission_type = ${param(commissionType)}`);
+    for (const [value, condition] of [[minPrice, `${CATALOG_PRICE} >=`], [maxPrice, `${CATALOG_PRICE} <=`], [minCommission, 'p.commission_value >=']]) {
+      if (value === undefined) continue;
+      if (!Number.isFinite(Number(value))) return res.status(400).json({ error: 'Price and commission filters must be numbers' });
+      conditions.push(`${condition} ${param(Number(value))}`);
+    }
+    if (cursor) {
+      const position = decodeCursor(cursor, sort.type);
+      if (!position) return res.status(400).json({ error: 'Invalid cursor' });
+      const op = sort.dir === 'DESC' ? '<' : '>';
+      conditions.push(`(${sort.expr}, p.id) ${op} (${param(position.value)}::${sort.type}, ${param(position.id)})`);
+    }
+
+    const result = await pool.query(
+      `SELECT ${PRODUCT_COLUMNS.map(column => `p.${column}`).join(', ')}, stats.clicks, stats.conversions, stats.conversion_rate, (${sort.expr})::text as sort_key
+       FROM products p
+       CROSS JOIN (SELECT to_tsquery('simple', ${param(search)}) as query) search
+       CROSS JOIN LATERAL (
+         SELECT clicks, conversions, CASE WHEN clicks > 0 THEN ROUND(conversions::numeric / clicks, 4) ELSE 0 END as conversion_rate
+         FROM (
+           SELECT COALESCE(SUM(s.clicks), 0) as clicks, COALESCE(SUM(s.conversions), 0) as conversions
+           FROM stats_daily s JOIN affiliate_links al ON s.link_id = al.id WHERE al.product_id = p.id
+         ) counts
+       ) stats
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${sort.expr} ${sort.dir}, p.id ${sort.dir}
+       ${paginated ? `LIMIT ${param(limit + 1)}` : ''}`,
+      params
+    );
+
+    if (!paginated) return res.json(result.rows.map(({ sort_key, ...product }) => product));
+    const hasMore = result.rows.length > limit;
+    const products = result.rows.slice(0, limit).map(({ sort_key, ...product }) => product);
+    const last = result.rows[limit - 1];
+    res.json({ products, nextCursor: hasMore ? encodeCursor(last.sort_key, last.id) : null });
+  } catch (err) {
+    console.error('Catalog error:', err);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+app.get('/api/categories', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT category, COUNT(*)::int as product_count FROM products
+       WHERE approved = TRUE AND category IS NOT NULL AND category <> ''
+       GROUP BY category ORDER BY product_count DESC, category`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${PRODUCT_COLUMNS.join(', ')} FROM products WHERE id = $1`, [req.params.id]);
     if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
     res.json(result.rows[0]);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update product' });
+    res.status(500).json({ error: 'Failed to fetch product' });
+  }
+});
+
+app.post('/api/products', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { name, description, price, priceValue, type, commissionType, commissionValue, category, productUrl, attributionDays, attributionModel, holdDays } = req.body;
+    if (attributionModel && !ATTRIBUTION_MODELS.includes(attributionModel)) return res.status(400).json({ error: `attributionModel must be one of: ${ATTRIBUTION_MODELS.join(', ')}` });
+    const { currency, error: currencyError } = await resolveCurrency(req.body.currency);
+    if (currencyError) return res.status(400).json({ error: currencyError });
+    const image = await resolveProductImage(req.body, req.user);
+    if (image.error) return res.status(400).json({ error: image.error });
+    const result = await pool.query(
+      `INSERT INTO products (name, description, price, price_value, currency, type, commission_type, commission_value, category, product_url, attribution_days, attribution_model, hold_days, approved, moderation_status) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,TRUE,'approved') RETURNING *`,
+      [name, description, price, priceValue, currency, type, commissionType, commissionValue, category, productUrl, attributionDays || 30, attributionModel || 'last_click', holdDays ?? 14]
+    );
+    res.json(await applyProductImage(result.rows[0], image));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/products/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { name, description, price, priceValue, type, commissionType, commissionValue, category, productUrl, attributionDays, attributionModel, holdDays } = req.body;
+    if (attributionModel && !ATTRIBUTION_MODELS.includes(attributionModel)) return res.status(400).json({ error: `attributionModel must be one of: ${ATTRIBUTION_MODELS.join(', ')}` });
+    const { currency, error: currencyError } = await resolveCurrency(req.body.currency);
+    if (currencyError) return res.status(400).json({ error: currencyError });
+    const image = await resolveProductImage(req.body, req.user);
+    if (image.error) return res.status(400).json({ error: image.error });
+    const result = await pool.query(
+      `UPDATE products SET name=$1, description=$2, price=$3, price_value=$4, currency=$5, type=$6, commission_type=$7, commission_value=$8, category=$9, product_url=$10, attribution_days=$11, attribution_model=$12, hold_days=$13 WHERE id=$14 RETURNING *`,
+      [name, description, price, priceValue, currency, type, commissionType, commissionValue, category, productUrl, attributionDays || 30, attributionModel || 'last_click', holdDays ?? 14, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
+    res.json(await applyProductImage(result.rows[0], image));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+});
+
+app.delete('/api/products/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM products WHERE id = $1 RETURNING *', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
+    res.json({ message: 'Product deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete product' });
+  }
+});
+
+// ============================================
+// PRODUCT MODERATION
+// ============================================
+// draft -> pending_review -> approved | rejected; archived nimmt ein Produkt vom Marktplatz.
+// Änderungen an live geschalteten Produkten landen als Revision, bis ein Admin sie freigibt.
+const MODERATION_STATUSES = ['draft', 'pending_review', 'approved', 'rejected', 'archived'];
+
+// Felder, die Partner über Revisionen ändern dürfen (Spaltennamen)
+const REVISABLE_PRODUCT_COLUMNS = [
+  'name', 'description', 'price', 'price_value', 'currency', 'type', 'commission_type', 'commission_value', 'category',
+  'product_url', 'attribution_days', 'attribution_model', 'hold_days', 'image_url', 'thumbnail_url'
+];
+
+const productValues = (body, image, currency) => ({
+  name: body.name ?? null,
+  description: body.description ?? null,
+  price: body.price ?? null,
+  price_value: body.priceValue ?? null,
+  currency,
+  type: body.type ?? null,
+  commission_type: body.commissionType ?? null,
+  commission_value: body.commissionValue ?? null,
+  category: body.category ?? null,
+  product_url: body.productUrl ?? null,
+  attribution_days: body.attributionDays || 30,
+  attribution_model: body.attributionModel || 'last_click',
+  hold_days: body.holdDays ?? 14,
+  ...(image.keep ? {} : { image_url: image.url, thumbnail_url: image.thumbnailUrl })
+});
+
+// revision: bei Änderungen an einem bereits freigegebenen Produkt betrifft die Entscheidung nur die Revision
+const productEventData = (product, revision) => ({
+  id: product.id, name: product.name, moderation_status: product.moderation_status, revision_id: revision?.id ?? null
+});
+
+// Status und approved-Flag immer gemeinsam setzen; jeder Wechsel landet in der Historie
+async function setModerationStatus(client, productId, status, { actorId, action, reason = null, revisionId = null }) {
+  const result = await client.query(
+    `WITH previous AS (SELECT moderation_status FROM products WHERE id = $1)
+     UPDATE products SET moderation_status = $2::varchar, approved = ($2::varchar = 'approved'),
+       rejection_reason = CASE WHEN $2::varchar = 'rejected' THEN $3 ELSE NULL END
+     WHERE id = $1 RETURNING *, (SELECT moderation_status FROM previous) as previous_status`,
+    [productId, status, reason]
+  );
+  const { previous_status, ...product } = result.rows[0];
+  await logModerationEvent(client, { productId, revisionId, action, fromStatus: previous_status, toStatus: status, reason, actorId });
+  return product;
+}
+
+async function logModerationEvent(client, { productId, revisionId = null, action, fromStatus = null, toStatus = null, reason = null, actorId }) {
+  await client.query(
+    `INSERT INTO product_moderation_events (product_id, revision_id, action, from_status, to_status, reason, actor_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [productId, revisionId, action, fromStatus, toStatus, reason, actorId]
+  );
+}
+
+// Eine offene Revision pro Produkt; erneutes Bearbeiten überschreibt sie
+async function submitProductRevision(client, product, changes, userId) {
+  const existing = await client.query(
+    `UPDATE product_revisions SET changes = $1, submitted_by = $2, created_at = CURRENT_TIMESTAMP
+     WHERE product_id = $3 AND status = 'pending' RETURNING *`,
+    [JSON.stringify(changes), userId, product.id]
+  );
+  const revision = existing.rows[0] || (await client.query(
+    `INSERT INTO product_revisions (product_id, submitted_by, changes) VALUES ($1, $2, $3) RETURNING *`,
+    [product.id, userId, JSON.stringify(changes)]
+  )).rows[0];
+  await logModerationEvent(client, { productId: product.id, revisionId: revision.id, action: 'revision_submitted', actorId: userId });
+  return revision;
+}
+
+async function applyProductChanges(client, productId, changes) {
+  const columns = Object.keys(changes).filter(column => REVISABLE_PRODUCT_COLUMNS.includes(column));
+  const result = await client.query(
+    `UPDATE products SET ${columns.map(column => `${column} = r.${column}`).join(', ')}
+     FROM jsonb_populate_record(NULL::products, $1) r WHERE products.id = $2 RETURNING products.*`,
+    [JSON.stringify(changes), productId]
+  );
+  return result.rows[0];
+}
+
+const sameValue = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  return String(a) === String(b) || (!isNaN(Number(a)) && !isNaN(Number(b)) && Number(a) === Number(b));
+};
+
+// Feldweiser Vergleich zwischen Live-Version und Revision für die Admin-Ansicht
+const diffRevision = (product, changes) => Object.keys(changes)
+  .filter(column => REVISABLE_PRODUCT_COLUMNS.includes(column) && !sameValue(product[column], changes[column]))
+  .map(column => ({ field: column, current: product[column], proposed: changes[column] }));
+
+// ============================================
+// PARTNER APPLICATIONS
+// ============================================
+// pending -> approved | rejected; abgelehnte Anträge können überarbeitet und erneut eingereicht werden.
+// partner_approved auf users bleibt das maßgebliche Flag und wird nur über diese Übergänge gesetzt.
+const PARTNER_APPLICATION_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  rejected: ['pending'],
+  approved: ['revoked'],
+  revoked: ['approved']
+};
+
+// USt-IdNr.-Formate laut VIES; Griechenland verwendet das Präfix EL
+const EU_VAT_PATTERNS = {
+  AT: /^ATU\d{8}$/,
+  BE: /^BE[01]\d{9}$/,
+  BG: /^BG\d{9,10}$/,
+  CY: /^CY\d{8}[A-Z]$/,
+  CZ: /^CZ\d{8,10}$/,
+  DE: /^DE\d{9}$/,
+  DK: /^DK\d{8}$/,
+  EE: /^EE\d{9}$/,
+  ES: /^ES[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^FI\d{8}$/,
+  FR: /^FR[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  GR: /^EL\d{9}$/,
+  HR: /^HR\d{11}$/,
+  HU: /^HU\d{8}$/,
+  IE: /^IE(\d{7}[A-W][A-IW]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^IT\d{11}$/,
+  LT: /^LT(\d{9}|\d{12})$/,
+  LU: /^LU\d{8}$/,
+  LV: /^LV\d{11}$/,
+  MT: /^MT\d{8}$/,
+  NL: /^NL\d{9}B\d{2}$/,
+  PL: /^PL\d{10}$/,
+  PT: /^PT\d{9}$/,
+  RO: /^RO\d{2,10}$/,
+  SE: /^SE\d{10}01$/,
+  SI: /^SI\d{8}$/,
+  SK: /^SK\d{10}$/
+};
+
+const normalizeVatId = (value) => String(value || '').replace(/[\s.\-]/g, '').toUpperCase();
+
+// Innerhalb der EU ist die USt-IdNr. Pflicht und muss zum Land passen; außerhalb ist sie optional
+function isValidVatId(vatId, country) {
+  const pattern = EU_VAT_PATTERNS[country];
+  if (pattern) return pattern.test(vatId);
+  return !vatId || /^[A-Z0-9]{4,20}$/.test(vatId);
+}
+
+const isValidWebsite = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+const REQUIRED_APPLICATION_FIELDS = {
+  companyName: 'company_name', website: 'website', street: 'street', postalCode: 'postal_code',
+  city: 'city', country: 'country', contactName: 'contact_name'
+};
+
+// Gibt { values } (Spaltennamen) zurück oder { error }
+function parsePartnerApplication(body) {
+  const text = (value) => String(value ?? '').trim();
+  const values = {
+    company_name: text(body.companyName),
+    website: text(body.website),
+    street: text(body.street),
+    postal_code: text(body.postalCode),
+    city: text(body.city),
+    country: text(body.country).toUpperCase(),
+    contact_name: text(body.contactName),
+    contact_phone: text(body.contactPhone) || null
+  };
+  const missing = Object.entries(REQUIRED_APPLICATION_FIELDS).filter(([, column]) => !values[column]).map(([field]) => field);
+  if (missing.length > 0) return { error: `Missing fields: ${missing.join(', ')}` };
+  if (!/^[A-Z]{2}$/.test(values.country)) return { error: 'country must be an ISO 3166-1 alpha-2 code' };
+  if (!/^https?:\/\//i.test(values.website)) values.website = `https://${values.website}`;
+  if (!isValidWebsite(values.website)) return { error: 'Invalid website URL' };
+  const vatId = normalizeVatId(body.vatId);
+  if (!isValidVatId(vatId, values.country)) {
+    return { error: EU_VAT_PATTERNS[values.country] ? `Invalid VAT ID for ${values.country}` : 'Invalid VAT ID' };
+  }
+  if (body.acceptTerms !== true) return { error: 'The partner terms must be accepted' };
+  return { values: { ...values, vat_id: vatId || null } };
+}
+
+async function logApplicationEvent(client, { applicationId, action, fromStatus = null, toStatus = null, reason = null, actorId }) {
+  await client.query(
+    `INSERT INTO partner_application_events (application_id, action, from_status, to_status, reason, actor_id)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [applicationId, action, fromStatus, toStatus, reason, actorId]
+  );
+}
+
+// Legt den Antrag an oder überschreibt einen abgelehnten; die Zustimmung zu den Bedingungen wird neu erfasst
+async function submitPartnerApplication(client, userId, values) {
+  const existing = (await client.query('SELECT * FROM partner_applications WHERE user_id = $1 FOR UPDATE', [userId])).rows[0];
+  if (existing && existing.status !== 'pending' && existing.status !== 'rejected') {
+    return { error: `Application is ${existing.status} and can no longer be changed`, status: 409 };
+  }
+  const columns = Object.keys(values);
+  const result = await client.query(
+    `INSERT INTO partner_applications (user_id, ${columns.join(', ')}, terms_accepted_at)
+     VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')}, CURRENT_TIMESTAMP)
+     ON CONFLICT (user_id) DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+       terms_accepted_at = CURRENT_TIMESTAMP, status = 'pending', rejection_reason = NULL, submitted_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [userId, ...Object.values(values)]
+  );
+  const application = result.rows[0];
+  const action = !existing ? 'submitted' : existing.status === 'rejected' ? 'resubmitted' : 'updated';
+  await logApplicationEvent(client, { applicationId: application.id, action, fromStatus: existing?.status || null, toStatus: 'pending', actorId: userId });
+  if (action !== 'updated') {
+    await notifyAdmins(client, 'partner.applied', {
+      title: action === 'submitted' ? 'Neuer Partnerantrag' : 'Partnerantrag erneut eingereicht',
+      body: application.company_name, link: '/admin/partners', data: { userId }
+    });
+  }
+  return { application };
+}
+
+async function announcePartnerApproval(client, userId, companyName, approvedAt) {
+  await emitEvent(client, userId, 'partner.approved', { user_id: Number(userId), company_name: companyName, approved_at: approvedAt });
+  await notify(client, userId, 'partner.approved', {
+    title: 'Partnerantrag freigegeben', body: `${companyName} kann jetzt Produkte anlegen`, link: '/partner'
+  });
+}
+
+// Statuswechsel durch Admins; partner_approved folgt dem Antrag.
+// Partner ohne Antrag (Registrierung vor Einführung der Anträge) können nur direkt freigeschaltet werden.
+async function transitionPartnerApplication(client, userId, status, { actorId, reason = null, notes }) {
+  const result = await client.query('SELECT * FROM partner_applications WHERE user_id = $1 FOR UPDATE', [userId]);
+  const application = result.rows[0];
+  if (!application) {
+    if (status !== 'approved') return { error: 'Partner has no application', status: 404 };
+    const partner = await client.query('SELECT id, name, partner_approved FROM users WHERE id = $1 AND is_partner = TRUE FOR UPDATE', [userId]);
+    if (!partner.rows[0]) return { error: 'Partner not found', status: 404 };
+    if (partner.rows[0].partner_approved) return { error: 'Partner is already approved', status: 409 };
+    await client.query('UPDATE users SET partner_approved = TRUE WHERE id = $1', [userId]);
+    await announcePartnerApproval(client, userId, partner.rows[0].name, new Date());
+    return { application: null };
+  }
+  if (!PARTNER_APPLICATION_TRANSITIONS[application.status]?.includes(status)) {
+    return { error: `Cannot change application from ${application.status} to ${status}`, status: 409 };
+  }
+  const updated = await client.query(
+    `UPDATE partner_applications SET status = $1::varchar, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+       rejection_reason = CASE WHEN $1::varchar IN ('rejected', 'revoked') THEN $3 ELSE NULL END,
+       admin_notes = COALESCE($4, admin_notes)
+     WHERE id = $5 RETURNING *`,
+    [status, actorId, reason, notes ?? null, application.id]
+  );
+  await client.query('UPDATE users SET partner_approved = $1 WHERE id = $2', [status === 'approved', userId]);
+  await logApplicationEvent(client, { applicationId: application.id, action: status, fromStatus: application.status, toStatus: status, reason, actorId });
+  if (status === 'approved') await announcePartnerApproval(client, userId, updated.rows[0].company_name, updated.rows[0].reviewed_at);
+  return { application: updated.rows[0] };
+}
+
+async function sendApplicationDecisionEmail(userId, application) {
+  const result = await pool.query('SELECT name, email FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+  if (!user) return;
+  const text = {
+    approved: `dein Partnerantrag für ${application.company_name} wurde freigegeben. Du kannst jetzt Produkte anlegen:\n${FRONTEND_URL}/partner`,
+    rejected: `dein Partnerantrag für ${application.company_name} wurde abgelehnt.\n\nGrund: ${application.rejection_reason}\n\nDu kannst den Antrag überarbeiten und erneut einreichen:\n${FRONTEND_URL}/partner/application`,
+    revoked: `die Partnerfreigabe für ${application.company_name} wurde widerrufen.\n\nGrund: ${application.rejection_reason}`
+  }[application.status];
+  if (text) await sendMail({ to: user.email, subject: 'Dein Partnerantrag bei ALUG', text: `Hallo ${user.name},\n\n${text}` });
+}
+
+app.get('/api/partner/application', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.isPartner) return res.status(403).json({ error: 'Partner access required' });
+    const result = await pool.query(
+      `SELECT id, company_name, website, vat_id, street, postal_code, city, country, contact_name, contact_phone,
+        terms_accepted_at, status, rejection_reason, reviewed_at, submitted_at, created_at
+       FROM partner_applications WHERE user_id = $1`,
+      [req.user.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'No application submitted yet' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch application' });
+  }
+});
+
+// Einreichen bzw. Überarbeiten, solange der Antrag noch nicht freigegeben ist
+app.put('/api/partner/application', authenticateToken, async (req, res) => {
+  if (!req.user.isPartner) return res.status(403).json({ error: 'Partner access required' });
+  const parsed = parsePartnerApplication(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await submitPartnerApplication(client, req.user.userId, parsed.values);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
+    }
+    await client.query('COMMIT');
+    const { admin_notes, reviewed_by, ...application } = result.application;
+    res.json(application);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Partner application error:', err);
+    res.status(500).json({ error: 'Failed to submit application' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// PARTNER ROUTES
+// ============================================
+app.get('/api/partner/status', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.name, u.email, u.is_partner, u.partner_approved, pa.status as application_status, pa.rejection_reason as application_rejection_reason
+       FROM users u LEFT JOIN partner_applications pa ON pa.user_id = u.id WHERE u.id = $1`,
+      [req.user.userId]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch status' });
+  }
+});
+
+app.get('/api/partner/products', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.*,
+        (SELECT row_to_json(r) FROM (SELECT id, changes, created_at FROM product_revisions WHERE product_id = p.id AND status = 'pending') r) as pending_revision,
+        (SELECT row_to_json(r) FROM (SELECT id, rejection_reason, reviewed_at FROM product_revisions WHERE product_id = p.id AND status = 'rejected' ORDER BY reviewed_at DESC LIMIT 1) r) as last_rejected_revision
+       FROM products p WHERE p.vendor_id = $1 ORDER BY p.created_at DESC`,
+      [req.user.userId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+// Neue Produkte gehen direkt in die Prüfung, mit draft: true bleiben sie Entwurf
+app.post('/api/partner/products', authenticateToken, isPartner, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { attributionModel, draft } = req.body;
+    if (attributionModel && !ATTRIBUTION_MODELS.includes(attributionModel)) return res.status(400).json({ error: `attributionModel must be one of: ${ATTRIBUTION_MODELS.join(', ')}` });
+    const { currency, error: currencyError } = await resolveCurrency(req.body.currency);
+    if (currencyError) return res.status(400).json({ error: currencyError });
+    const image = await resolveProductImage(req.body, req.user);
+    if (image.error) return res.status(400).json({ error: image.error });
+
+    const status = draft ? 'draft' : 'pending_review';
+    const values = productValues(req.body, image, currency);
+    const columns = Object.keys(values);
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO products (${columns.join(', ')}, vendor_id, moderation_status, approved)
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}, $${columns.length + 1}, $${columns.length + 2}, FALSE) RETURNING *`,
+      [...Object.values(values), req.user.userId, status]
+    );
+    const product = result.rows[0];
+    await logModerationEvent(client, { productId: product.id, action: draft ? 'created' : 'submitted', toStatus: status, actorId: req.user.userId });
+    if (image.id) await client.query('UPDATE product_images SET product_id = $1 WHERE id = $2', [product.id, image.id]);
+    await client.query('COMMIT');
+    res.json(product);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to add product' });
+  } finally {
+    client.release();
+  }
+});
+
+// Live-Produkte bleiben unverändert online; die Änderung wartet als Revision auf Freigabe
+app.put('/api/partner/products/:id', authenticateToken, isPartner, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { attributionModel, draft } = req.body;
+    if (attributionModel && !ATTRIBUTION_MODELS.includes(attributionModel)) return res.status(400).json({ error: `attributionModel must be one of: ${ATTRIBUTION_MODELS.join(', ')}` });
+    const { currency, error: currencyError } = await resolveCurrency(req.body.currency);
+    if (currencyError) return res.status(400).json({ error: currencyError });
+    const image = await resolveProductImage(req.body, req.user);
+    if (image.error) return res.status(400).json({ error: image.error });
+
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT * FROM products WHERE id = $1 AND vendor_id = $2 FOR UPDATE', [req.params.id, req.user.userId]);
+    const product = existing.rows[0];
+    if (!product) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const changes = productValues(req.body, image, currency);
+    if (image.id) await client.query('UPDATE product_images SET product_id = $1 WHERE id = $2', [product.id, image.id]);
+
+    if (product.moderation_status === 'approved') {
+      const revision = await submitProductRevision(client, product, changes, req.user.userId);
+      await client.query('COMMIT');
+      return res.json({ ...product, pending_revision: revision });
+    }
+
+    let updated = await applyProductChanges(client, product.id, changes);
+    const nextStatus = product.moderation_status === 'archived' ? 'archived' : (draft ? 'draft' : 'pending_review');
+    if (nextStatus !== product.moderation_status) {
+      updated = await setModerationStatus(client, product.id, nextStatus, { actorId: req.user.userId, action: 'submitted' });
+    }
+    await client.query('COMMIT');
+    res.json(updated);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to update product' });
+  } finally {
+    client.release();
+  }
+});
+
+// Entwürfe, abgelehnte und archivierte Produkte erneut zur Prüfung einreichen
+app.post('/api/partner/products/:id/submit', authenticateToken, isPartner, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT moderation_status FROM products WHERE id = $1 AND vendor_id = $2 FOR UPDATE', [req.params.id, req.user.userId]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (!['draft', 'rejected', 'archived'].includes(existing.rows[0].moderation_status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Cannot submit a product that is ${existing.rows[0].moderation_status}` });
+    }
+    const product = await setModerationStatus(client, req.params.id, 'pending_review', { actorId: req.user.userId, action: 'submitted' });
+    await client.query('COMMIT');
+    res.json(product);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to submit product' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/partner/products/:id/archive', authenticateToken, isPartner, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT moderation_status FROM products WHERE id = $1 AND vendor_id = $2 FOR UPDATE', [req.params.id, req.user.userId]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (existing.rows[0].moderation_status === 'archived') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Product already archived' });
+    }
+    await client.query(`UPDATE product_revisions SET status = 'withdrawn' WHERE product_id = $1 AND status = 'pending'`, [req.params.id]);
+    const product = await setModerationStatus(client, req.params.id, 'archived', { actorId: req.user.userId, action: 'archived' });
+    await client.query('COMMIT');
+    res.json(product);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to archive product' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/partner/products/:id/revisions', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.id, r.status, r.changes, r.rejection_reason, r.created_at, r.reviewed_at
+       FROM product_revisions r JOIN products p ON r.product_id = p.id
+       WHERE r.product_id = $1 AND p.vendor_id = $2 ORDER BY r.created_at DESC`,
+      [req.params.id, req.user.userId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+app.delete('/api/partner/products/:id', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM products WHERE id = $1 AND vendor_id = $2 RETURNING *', [req.params.id, req.user.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
+    res.json({ message: 'Product deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete product' });
+  }
+});
+
+app.get('/api/partner/stats', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const stats = await pool.query(
+      `SELECT p.id, p.name, p.approved, p.currency,
+        COUNT(DISTINCT al.id) as total_affiliates,
+        COALESCE(SUM(s.clicks), 0) as total_clicks,
+        COALESCE(SUM(s.conversions), 0) as total_sales,
+        ${statsSumSql('amount', 'p.currency')} as total_revenue
+       FROM products p
+       LEFT JOIN affiliate_links al ON p.id = al.product_id
+       LEFT JOIN stats_daily s ON al.id = s.link_id
+       WHERE p.vendor_id = $1
+       GROUP BY p.id, p.name, p.approved, p.currency ORDER BY total_revenue DESC`,
+      [req.user.userId]
+    );
+    res.json(stats.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
+
+// Zusätzliche Domains für Deep Links der Affiliates; die Domains der eigenen Produkt-URLs sind immer erlaubt
+const MAX_ALLOWED_DOMAINS = 20;
+
+app.get('/api/partner/allowed-domains', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.allowed_domains, ARRAY(SELECT DISTINCT product_url FROM products WHERE vendor_id = u.id AND product_url IS NOT NULL) as product_urls
+       FROM users u WHERE u.id = $1`,
+      [req.user.userId]
+    );
+    const { allowed_domains, product_urls } = result.rows[0];
+    res.json({ domains: allowed_domains || [], productDomains: [...new Set(product_urls.map(urlDomain).filter(Boolean))] });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch allowed domains' });
+  }
+});
+
+app.put('/api/partner/allowed-domains', authenticateToken, isPartner, async (req, res) => {
+  const { domains } = req.body;
+  if (!Array.isArray(domains) || domains.length > MAX_ALLOWED_DOMAINS) return res.status(400).json({ error: `domains must be a list of up to ${MAX_ALLOWED_DOMAINS} domains` });
+  const normalized = [...new Set(domains.map(normalizeDomain))];
+  const invalid = normalized.filter(domain => !DOMAIN_PATTERN.test(domain));
+  if (invalid.length > 0) return res.status(400).json({ error: `Invalid domain: ${invalid.join(', ')}` });
+  try {
+    const result = await pool.query('UPDATE users SET allowed_domains = $1 WHERE id = $2 RETURNING allowed_domains', [normalized, req.user.userId]);
+    res.json({ domains: result.rows[0].allowed_domains });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save allowed domains' });
+  }
+});
+
+// UTM-Vorlage je Produkt (utmSource, utmMedium, utmCampaign, utmContent, utmTerm) mit Platzhaltern wie {campaign} oder {affiliate_id};
+// nicht gesetzte Parameter kommen aus der Kampagne bzw. dem Plattform-Standard, ein leerer Wert unterdrückt den Parameter.
+// Reine Tracking-Einstellung, daher ohne erneute Moderation sofort wirksam.
+app.get('/api/partner/products/:id/utm', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT utm_template FROM products WHERE id = $1 AND vendor_id = $2', [req.params.id, req.user.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
+    res.json({ template: result.rows[0].utm_template || {}, defaults: DEFAULT_UTM_TEMPLATE, placeholders: UTM_PLACEHOLDERS });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch UTM template' });
+  }
+});
+
+app.put('/api/partner/products/:id/utm', authenticateToken, isPartner, async (req, res) => {
+  const parsed = parseUtmTemplate(req.body, UTM_PARAMS);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const template = Object.keys(parsed.values).length > 0 ? parsed.values : null;
+    const result = await pool.query(
+      'UPDATE products SET utm_template = $1 WHERE id = $2 AND vendor_id = $3 RETURNING utm_template',
+      [template, req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
+    res.json({ template: result.rows[0].utm_template || {}, defaults: DEFAULT_UTM_TEMPLATE, placeholders: UTM_PLACEHOLDERS });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save UTM template' });
+  }
+});
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+app.get('/api/partner/webhook-info', authenticateToken, isPartnerOrAdmin, async (req, res) => {
+  try {
+    let result = await pool.query('SELECT webhook_secret FROM users WHERE id = $1', [req.user.userId]);
+    let webhookSecret = result.rows[0]?.webhook_secret;
+    if (!webhookSecret) {
+      result = await pool.query(
+        'UPDATE users SET webhook_secret = COALESCE(webhook_secret, $1) WHERE id = $2 RETURNING webhook_secret',
+        [generateWebhookSecret(), req.user.userId]
+      );
+      webhookSecret = result.rows[0].webhook_secret;
+    }
+    res.json({
+      webhookUrl: `${BACKEND_URL}/api/webhook/conversion`,
+      reversalUrl: `${BACKEND_URL}/api/webhook/reversal`,
+      shopifyUrl: `${BACKEND_URL}/api/webhook/shopify/${req.user.userId}`,
+      woocommerceUrl: `${BACKEND_URL}/api/webhook/woocommerce/${req.user.userId}`,
+      partnerId: req.user.userId,
+      secret: webhookSecret,
+      headers: {
+        'X-Alug-Partner-Id': String(req.user.userId),
+        'X-Alug-Timestamp': 'UNIX_TIMESTAMP',
+        'X-Alug-Signature': 'HEX(HMAC_SHA256(secret, UNIX_TIMESTAMP + "." + BODY))'
+      },
+      instructions: [
+        "1. Sende bei jedem Kauf serverseitig einen POST Request mit JSON-Body an die Webhook URL.",
+        "2. Body: { \"link_code\": ALUG_CODE, \"amount\": BETRAG, \"order_id\": BESTELLNUMMER, \"visitor_id\": ALUG_VID }. ALUG_CODE und ALUG_VID sind die URL-Parameter 'alug_code' und 'alug_vid' aus der Besucher-URL.",
+        "3. Setze X-Alug-Timestamp auf die aktuelle Unix-Zeit in Sekunden (max. 5 Minuten Abweichung).",
+        "4. Signiere '<timestamp>.<body>' per HMAC-SHA256 mit deinem Secret und sende das Ergebnis (hex) als X-Alug-Signature.",
+        "5. Die order_id ist pro Shop eindeutig: wiederholte Zustellungen liefern die ursprüngliche Conversion zurück.",
+        "6. Bei Rückerstattung oder Chargeback: POST an die Reversal URL mit order_id, optional amount (Teilerstattung) und type=refund|chargeback.",
+        "Veraltet: Die frühere GET-Variante (?secret=&link_code=&amount=&order_id=) akzeptiert nur noch dein eigenes Secret und eine order_id und wird nur übergangsweise unterstützt; stelle auf signierte POST Requests um.",
+        "Shopify: Settings > Notifications > Webhooks, Events 'Order creation' und 'Refund create' (JSON) an die Shopify URL senden und den Signatur-Schlüssel unter /api/partner/integrations/shopify hinterlegen. Das Theme muss alug_code und alug_vid als Warenkorb-Attribute speichern.",
+        "WooCommerce: WooCommerce > Einstellungen > Erweitert > Webhooks, Topic 'Order created' (und optional 'Order updated' für Erstattungen) an die WooCommerce URL, Secret unter /api/partner/integrations/woocommerce hinterlegen. alug_code und alug_vid müssen als Order-Meta gespeichert werden.",
+        "Das Secret niemals im Browser verwenden. Über /api/partner/webhook-secret/rotate kannst du es erneuern, das alte bleibt 24 Stunden gültig."
+      ]
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch webhook info' });
+  }
+});
+
+app.post('/api/partner/webhook-secret/rotate', authenticateToken, isPartnerOrAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE users SET webhook_secret_previous = webhook_secret, webhook_secret = $1, webhook_secret_rotated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 RETURNING webhook_secret, webhook_secret_rotated_at`,
+      [generateWebhookSecret(), req.user.userId]
+    );
+    res.json({ secret: result.rows[0].webhook_secret, rotatedAt: result.rows[0].webhook_secret_rotated_at, previousSecretValidHours: WEBHOOK_SECRET_GRACE_HOURS });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+const INTEGRATION_PLATFORMS = ['shopify', 'woocommerce'];
+
+app.get('/api/partner/integrations', authenticateToken, isPartnerOrAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT platform, created_at, updated_at FROM partner_integrations WHERE partner_id = $1', [req.user.userId]);
+    res.json(INTEGRATION_PLATFORMS.map(platform => {
+      const integration = result.rows.find(row => row.platform === platform);
+      return {
+        platform,
+        configured: !!integration,
+        receiverUrl: `${BACKEND_URL}/api/webhook/${platform}/${req.user.userId}`,
+        updatedAt: integration ? integration.updated_at : null
+      };
+    }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch integrations' });
+  }
+});
+
+app.put('/api/partner/integrations/:platform', authenticateToken, isPartnerOrAdmin, async (req, res) => {
+  try {
+    const { platform } = req.params;
+    const { signingSecret } = req.body;
+    if (!INTEGRATION_PLATFORMS.includes(platform)) return res.status(404).json({ error: 'Unknown platform' });
+    if (!signingSecret) return res.status(400).json({ error: 'signingSecret is required' });
+    await pool.query(
+      `INSERT INTO partner_integrations (partner_id, platform, signing_secret) VALUES ($1, $2, $3)
+       ON CONFLICT (partner_id, platform) DO UPDATE SET signing_secret = EXCLUDED.signing_secret, updated_at = CURRENT_TIMESTAMP`,
+      [req.user.userId, platform, signingSecret]
+    );
+    res.json({ platform, configured: true, receiverUrl: `${BACKEND_URL}/api/webhook/${platform}/${req.user.userId}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save integration' });
+  }
+});
+
+app.delete('/api/partner/integrations/:platform', authenticateToken, isPartnerOrAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM partner_integrations WHERE partner_id = $1 AND platform = $2 RETURNING id', [req.user.userId, req.params.platform]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Integration not found' });
+    res.json({ message: 'Integration removed' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to remove integration' });
+  }
+});
+
+app.post('/api/partner/conversions/reverse', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const { orderId, linkCode, amount, type, reason } = req.body;
+    if (!orderId) return res.status(400).json({ error: 'orderId is required' });
+    const reversalType = type || 'refund';
+    if (!REVERSAL_TYPES.includes(reversalType)) return res.status(400).json({ error: `type must be one of: ${REVERSAL_TYPES.join(', ')}` });
+
+    const found = await findOrderConversions({ orderId, linkCode, vendorId: req.user.userId });
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    const result = await reverseOrder(found.conversions, { type: reversalType, amount, reason });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.conversions);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reverse conversion' });
+  }
+});
+
+// ============================================
+// PARTNER CONVERSIONS & AFFILIATES
+// ============================================
+// Offene Conversions der eigenen Produkte können Partner vor Ablauf der Haltefrist freigeben oder ablehnen.
+// Abgelehnte Conversions werden vollständig storniert (Typ declined); von der Betrugsprüfung gesperrte bleiben gesperrt.
+const PARTNER_CONVERSIONS_PAGE_SIZE = 50;
+const PARTNER_REVIEW_MAX_IDS = 500;
+
+const parseIdList = (value) => Array.isArray(value)
+  ? [...new Set(value.map(Number))].filter(id => Number.isInteger(id) && id > 0)
+  : [];
+
+async function isBlockedForProduct(affiliateId, productId) {
+  const result = await pool.query(
+    `SELECT 1 FROM products p JOIN partner_affiliate_blocks b ON b.partner_id = p.vendor_id WHERE p.id = $1 AND b.affiliate_id = $2`,
+    [productId, affiliateId]
+  );
+  return result.rows.length > 0;
+}
+
+// ?status, ?productId, ?affiliateId, ?from / ?to (YYYY-MM-DD), ?cursor aus nextCursor
+app.get('/api/partner/conversions', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const { status, productId, affiliateId, from, to, cursor } = req.query;
+    if (status && !CONVERSION_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${CONVERSION_STATUSES.join(', ')}` });
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)))) return res.status(400).json({ error: `${key} must be a date (YYYY-MM-DD)` });
+    }
+    for (const [key, value] of Object.entries({ productId, affiliateId, cursor })) {
+      if (value !== undefined && !/^\d+$/.test(value)) return res.status(400).json({ error: `${key} must be an id` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || PARTNER_CONVERSIONS_PAGE_SIZE, 1), 200);
+
+    const params = [];
+    const param = (value) => { params.push(value); return `$${params.length}`; };
+    const conditions = [`p.vendor_id = ${param(req.user.userId)}`];
+    if (status) conditions.push(`c.status = ${param(status)}`);
+    if (productId) conditions.push(`p.id = ${param(parseInt(productId))}`);
+    if (affiliateId) conditions.push(`al.user_id = ${param(parseInt(affiliateId))}`);
+    if (from) conditions.push(`c.converted_at >= ${param(from)}::date`);
+    if (to) conditions.push(`c.converted_at < ${param(to)}::date + 1`);
+    if (cursor) conditions.push(`c.id < ${param(parseInt(cursor))}`);
+
+    const result = await pool.query(
+      `SELECT c.id, c.converted_at, c.order_id, c.status, c.on_hold, c.amount, c.commission, c.refunded_amount, c.reversed_commission, c.currency,
+         c.payable_at, c.approved_at, c.reversed_at, p.id as product_id, p.name as product_name, al.link_code,
+         u.id as affiliate_id, u.name as affiliate_name,
+         (c.status = 'pending' AND NOT c.on_hold) as can_approve, c.status = 'pending' as can_decline
+       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id JOIN products p ON al.product_id = p.id JOIN users u ON al.user_id = u.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY c.id DESC LIMIT ${param(limit + 1)}`,
+      params
+    );
+    const conversions = result.rows.slice(0, limit);
+    res.json({ conversions, nextCursor: result.rows.length > limit ? String(conversions[conversions.length - 1].id) : null });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch conversions' });
+  }
+});
+
+app.post('/api/partner/conversions/approve', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const ids = parseIdList(req.body.ids);
+    if (ids.length === 0 || ids.length > PARTNER_REVIEW_MAX_IDS) return res.status(400).json({ error: `ids must be a list of 1-${PARTNER_REVIEW_MAX_IDS} conversion ids` });
+    const approved = await approveConversions(
+      'c.id = ANY($1::int[]) AND al.product_id IN (SELECT id FROM products WHERE vendor_id = $2)',
+      [ids, req.user.userId]
+    );
+    const approvedIds = approved.map(c => c.id);
+    res.json({ approved: approvedIds, skipped: ids.filter(id => !approvedIds.includes(id)) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to approve conversions' });
+  }
+});
+
+app.post('/api/partner/conversions/decline', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const ids = parseIdList(req.body.ids);
+    const reason = String(req.body.reason || '').trim();
+    if (ids.length === 0 || ids.length > PARTNER_REVIEW_MAX_IDS) return res.status(400).json({ error: `ids must be a list of 1-${PARTNER_REVIEW_MAX_IDS} conversion ids` });
+    if (!reason) return res.status(400).json({ error: 'A reason is required' });
+
+    const found = await pool.query(
+      `SELECT c.* FROM conversions c JOIN affiliate_links al ON c.link_id = al.id JOIN products p ON al.product_id = p.id
+       WHERE c.id = ANY($1::int[]) AND p.vendor_id = $2 AND c.status = 'pending'`,
+      [ids, req.user.userId]
+    );
+    const declined = [];
+    for (const conversion of found.rows) {
+      const result = await reverseConversion(conversion, { type: 'declined', reason, pendingOnly: true });
+      if (!result.error) declined.push(conversion.id);
+    }
+    res.json({ declined, skipped: ids.filter(id => !declined.includes(id)) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to decline conversions' });
+  }
+});
+
+// Alle Affiliates mit Links auf eigene Produkte, inkl. gesperrter; Beträge in ?currency (Standard EUR)
+app.get('/api/partner/affiliates', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const reporting = await resolveCurrency(req.query.currency);
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
+    const result = await pool.query(
+      `SELECT u.id, u.name, MIN(al.created_at) as promoting_since, COUNT(DISTINCT al.id) as links,
+         COALESCE(SUM(s.clicks), 0) as clicks, COALESCE(SUM(s.conversions), 0) as conversions,
+         CASE WHEN SUM(s.clicks) > 0 THEN ROUND(SUM(s.conversions)::numeric / SUM(s.clicks), 4) ELSE 0 END as conversion_rate,
+         ${statsSumSql('amount', '$2')} as revenue, ${statsSumSql('commission', '$2')} as commission,
+         b.created_at as blocked_at, b.reason as block_reason
+       FROM affiliate_links al JOIN products p ON al.product_id = p.id JOIN users u ON al.user_id = u.id
+       LEFT JOIN stats_daily s ON s.link_id = al.id
+       LEFT JOIN partner_affiliate_blocks b ON b.partner_id = p.vendor_id AND b.affiliate_id = u.id
+       WHERE p.vendor_id = $1
+       GROUP BY u.id, u.name, b.created_at, b.reason ORDER BY revenue DESC, u.id`,
+      [req.user.userId, reporting.currency]
+    );
+    res.json(result.rows.map(row => ({ ...row, blocked: row.blocked_at !== null, currency: reporting.currency })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch affiliates' });
+  }
+});
+
+// Gesperrte Affiliates können keine neuen Links erzeugen; Klicks auf bestehende Links zählen nicht mehr
+app.post('/api/partner/affiliates/:id/block', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const promotes = await pool.query(
+      'SELECT 1 FROM affiliate_links al JOIN products p ON al.product_id = p.id WHERE al.user_id = $1 AND p.vendor_id = $2 LIMIT 1',
+      [req.params.id, req.user.userId]
+    );
+    if (promotes.rows.length === 0) return res.status(404).json({ error: 'Affiliate not found' });
+    const result = await pool.query(
+      `INSERT INTO partner_affiliate_blocks (partner_id, affiliate_id, reason) VALUES ($1, $2, $3)
+       ON CONFLICT (partner_id, affiliate_id) DO UPDATE SET reason = EXCLUDED.reason RETURNING *`,
+      [req.user.userId, req.params.id, req.body?.reason || null]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to block affiliate' });
+  }
+});
+
+app.delete('/api/partner/affiliates/:id/block', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM partner_affiliate_blocks WHERE partner_id = $1 AND affiliate_id = $2 RETURNING *', [req.user.userId, req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Affiliate is not blocked' });
+    res.json({ message: 'Affiliate unblocked' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to unblock affiliate' });
+  }
+});
+
+// ============================================
+// COMMISSION RULES
+// ============================================
+// kind 'rate' ersetzt den Provisionssatz des Produkts, 'first_sale_bonus' kommt beim ersten Verkauf eines Affiliates obendrauf.
+// Bei mehreren passenden Regeln gewinnt die höchste Priorität, danach die spezifischste.
+// tiers: [{ minSales, value }] – minSales = Verkäufe des Affiliates im laufenden Monat vor diesem Verkauf
+const RULE_KINDS = ['rate', 'first_sale_bonus'];
+const COMMISSION_TYPES = ['percentage', 'fixed'];
+
+const calculateCommission = (commissionType, value, saleAmount) =>
+  commissionType === 'percentage' ? (saleAmount * parseFloat(value)) / 100 : parseFloat(value);
+
+async function monthlySalesCount(rule, affiliateId) {
+  const result = await pool.query(
+    `SELECT COUNT(*) as count FROM conversions c JOIN affiliate_links al ON c.link_id = al.id JOIN products p ON al.product_id = p.id
+     WHERE al.user_id = $1 AND p.vendor_id = $2 AND c.status <> 'reversed' AND c.converted_at >= date_trunc('month', CURRENT_TIMESTAMP)
+       AND ($3::int IS NULL OR p.id = $3) AND ($4::text IS NULL OR p.category = $4)`,
+    [affiliateId, rule.partner_id, rule.product_id, rule.category]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+async function ruleValue(rule, affiliateId) {
+  if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) return rule.commission_value;
+  const sales = await monthlySalesCount(rule, affiliateId);
+  const tier = [...rule.tiers].sort((a, b) => b.minSales - a.minSales).find(t => sales >= t.minSales);
+  return tier ? tier.value : rule.commission_value;
+}
+
+// product braucht id, vendor_id, category, commission_type, commission_value
+async function evaluateCommission(product, affiliateId, saleAmount) {
+  const rules = product.vendor_id ? (await pool.query(
+    `SELECT * FROM commission_rules
+     WHERE partner_id = $1 AND active = TRUE
+       AND (product_id IS NULL OR product_id = $2) AND (category IS NULL OR category = $3) AND (affiliate_id IS NULL OR affiliate_id = $4)
+       AND (valid_from IS NULL OR valid_from <= CURRENT_TIMESTAMP) AND (valid_until IS NULL OR valid_until > CURRENT_TIMESTAMP)
+     ORDER BY priority DESC, (affiliate_id IS NOT NULL) DESC, (product_id IS NOT NULL) DESC, (category IS NOT NULL) DESC, id DESC`,
+    [product.vendor_id, product.id, product.category, affiliateId]
+  )).rows : [];
+
+  const rateRule = rules.find(rule => rule.kind === 'rate');
+  let commission = rateRule ? calculateCommission(rateRule.commission_type, await ruleValue(rateRule, affiliateId), saleAmount) : NaN;
+  // Regeln ohne gültigen Wert (z.B. ältere Staffeln ohne Basiswert) fallen auf den Produktsatz zurück
+  const ruleApplied = Number.isFinite(commission);
+  if (rateRule && !ruleApplied) console.warn(`⚠️ Commission rule ${rateRule.id} has no value for affiliate ${affiliateId}, using product rate`);
+  if (!ruleApplied) commission = calculateCommission(product.commission_type, product.commission_value, saleAmount);
+  if (!Number.isFinite(commission)) commission = 0;
+
+  let bonus = 0;
+  const bonusRule = rules.find(rule => rule.kind === 'first_sale_bonus');
+  if (bonusRule) {
+    const previous = await pool.query(
+      `SELECT 1 FROM conversions c JOIN affiliate_links al ON c.link_id = al.id
+       WHERE al.user_id = $1 AND al.product_id = $2 AND c.status <> 'reversed' LIMIT 1`,
+      [affiliateId, product.id]
+    );
+    if (previous.rows.length === 0) bonus = parseFloat(bonusRule.commission_value) || 0;
+  }
+
+  return {
+    commission: roundMoney(commission + bonus),
+    bonus,
+    commissionRuleId: ruleApplied ? rateRule.id : null,
+    bonusRuleId: bonus > 0 ? bonusRule.id : null
+  };
+}
+
+// Prüft den Request-Body einer Regel und liefert die Spaltenwerte
+async function parseCommissionRule(body, partnerId) {
+  const kind = body.kind || 'rate';
+  if (!RULE_KINDS.includes(kind)) return { error: `kind must be one of: ${RULE_KINDS.join(', ')}` };
+  const commissionType = kind === 'first_sale_bonus' ? 'fixed' : (body.commissionType || 'percentage');
+  if (!COMMISSION_TYPES.includes(commissionType)) return { error: `commissionType must be one of: ${COMMISSION_TYPES.join(', ')}` };
+
+  let tiers = null;
+  if (body.tiers !== undefined && body.tiers !== null) {
+    if (kind !== 'rate' || !Array.isArray(body.tiers)) return { error: 'tiers must be an array and are only allowed on rate rules' };
+    tiers = body.tiers.map(t => ({ minSales: parseInt(t.minSales), value: parseFloat(t.value) }));
+    if (tiers.some(t => isNaN(t.minSales) || t.minSales < 0 || isNaN(t.value) || t.value < 0)) return { error: 'Each tier needs minSales >= 0 and value >= 0' };
+  }
+  // Ohne Basiswert muss eine Staffel ab 0 Verkäufen greifen, sonst gäbe es unterhalb der ersten Stufe keinen Satz
+  const value = parseFloat(body.commissionValue);
+  const hasBaseTier = tiers && tiers.some(t => t.minSales === 0);
+  if ((!hasBaseTier && isNaN(value)) || value < 0) {
+    return { error: tiers ? 'commissionValue must be a number >= 0 unless a tier has minSales 0' : 'commissionValue must be a number >= 0' };
+  }
+
+  if (body.productId) {
+    const product = await pool.query('SELECT id FROM products WHERE id = $1 AND vendor_id = $2', [body.productId, partnerId]);
+    if (product.rows.length === 0) return { error: 'Product not found' };
+  }
+  if (body.affiliateId) {
+    const affiliate = await pool.query('SELECT id FROM users WHERE id = $1', [body.affiliateId]);
+    if (affiliate.rows.length === 0) return { error: 'Affiliate not found' };
+  }
+  if (body.validFrom && body.validUntil && new Date(body.validFrom) >= new Date(body.validUntil)) return { error: 'validFrom must be before validUntil' };
+
+  return {
+    values: [
+      body.name || null, kind, body.productId || null, body.category || null, body.affiliateId || null,
+      commissionType, isNaN(value) ? null : value, tiers ? JSON.stringify(tiers) : null,
+      parseInt(body.priority) || 0, body.validFrom || null, body.validUntil || null, body.active !== false
+    ]
+  };
+}
+
+app.get('/api/partner/commission-rules', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.*, p.name as product_name, u.name as affiliate_name FROM commission_rules r
+       LEFT JOIN products p ON r.product_id = p.id LEFT JOIN users u ON r.affiliate_id = u.id
+       WHERE r.partner_id = $1 ORDER BY r.priority DESC, r.created_at DESC`,
+      [req.user.userId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch commission rules' });
+  }
+});
+
+app.post('/api/partner/commission-rules', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const parsed = await parseCommissionRule(req.body, req.user.userId);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const result = await pool.query(
+      `INSERT INTO commission_rules (name, kind, product_id, category, affiliate_id, commission_type, commission_value, tiers, priority, valid_from, valid_until, active, partner_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING *`,
+      [...parsed.values, req.user.userId]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create commission rule' });
+  }
+});
+
+app.put('/api/partner/commission-rules/:id', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const parsed = await parseCommissionRule(req.body, req.user.userId);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const result = await pool.query(
+      `UPDATE commission_rules SET name=$1, kind=$2, product_id=$3, category=$4, affiliate_id=$5, commission_type=$6, commission_value=$7, tiers=$8,
+        priority=$9, valid_from=$10, valid_until=$11, active=$12
+       WHERE id=$13 AND partner_id=$14 RETURNING *`,
+      [...parsed.values, req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Commission rule not found' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update commission rule' });
+  }
+});
+
+app.delete('/api/partner/commission-rules/:id', authenticateToken, isPartner, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM commission_rules WHERE id = $1 AND partner_id = $2 RETURNING id', [req.params.id, req.user.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Commission rule not found' });
+    res.json({ message: 'Commission rule deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete commission rule' });
+  }
+});
+
+// ============================================
+// CLICK & FRAUD FILTERING
+// ============================================
+// Markierte Klicks (flag != NULL: bot, blocked, self, duplicate) werden gespeichert, zählen aber weder in Statistiken noch für die Attribution
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|facebookexternalhit|whatsapp|telegram|skype|embedly|preview|headless|lighthouse|curl|wget|python-requests|httpclient|axios|go-http-client|okhttp|java\//i;
+const CLICK_DEDUPE_MINUTES = 30;
+const SELF_CLICK_IP_DAYS = 30;
+const FRAUD_MIN_SECONDS_TO_CONVERT = 10;
+const FRAUD_MAX_CONVERSIONS_PER_IP = 5;
+
+async function rememberUserIp(userId, ip) {
+  if (!ip) return;
+  await pool.query(
+    `INSERT INTO user_ips (user_id, ip_address) VALUES ($1, $2)
+     ON CONFLICT (user_id, ip_address) DO UPDATE SET last_seen_at = CURRENT_TIMESTAMP`,
+    [userId, ip]
+  ).catch(err => console.error('❌ User IP tracking error:', err));
+}
+
+async function classifyClick({ linkId, ownerId, ip, userAgent }) {
+  if (!userAgent || BOT_USER_AGENT.test(userAgent)) return 'bot';
+
+  // Vom Partner gesperrte Affiliates: Weiterleitung funktioniert, der Klick zählt aber nicht
+  const blocked = await pool.query(
+    `SELECT 1 FROM affiliate_links al JOIN products p ON al.product_id = p.id
+     JOIN partner_affiliate_blocks b ON b.partner_id = p.vendor_id AND b.affiliate_id = al.user_id
+     WHERE al.id = $1`,
+    [linkId]
+  );
+  if (blocked.rows.length > 0) return 'blocked';
+
+  const self = await pool.query(
+    `SELECT 1 FROM user_ips WHERE user_id = $1 AND ip_address = $2 AND last_seen_at >= NOW() - make_interval(days => $3)`,
+    [ownerId, ip, SELF_CLICK_IP_DAYS]
+  );
+  if (self.rows.length > 0) return 'self';
+
+  const repeat = await pool.query(
+    `SELECT 1 FROM clicks WHERE link_id = $1 AND ip_address = $2 AND user_agent = $3 AND clicked_at >= NOW() - make_interval(mins => $4) LIMIT 1`,
+    [linkId, ip, userAgent, CLICK_DEDUPE_MINUTES]
+  );
+  if (repeat.rows.length > 0) return 'duplicate';
+  return null;
+}
+
+// Verdächtige Conversions landen in der Prüfwarteschlange und werden bis zur Freigabe nicht genehmigt
+async function screenConversions(conversions) {
+  for (const conversion of conversions) {
+    if (!conversion.click_id) continue;
+    const result = await pool.query(
+      `SELECT EXTRACT(EPOCH FROM ($2::timestamp - cl.clicked_at)) as seconds_to_convert,
+        (SELECT COUNT(*) FROM conversions c2 JOIN clicks cl2 ON c2.click_id = cl2.id
+         WHERE cl2.ip_address = cl.ip_address AND c2.converted_at >= NOW() - INTERVAL '24 hours') as ip_conversions
+       FROM clicks cl WHERE cl.id = $1`,
+      [conversion.click_id, conversion.converted_at]
+    );
+    const stats = result.rows[0];
+    if (!stats) continue;
+
+    const reasons = [];
+    if (parseFloat(stats.seconds_to_convert) < FRAUD_MIN_SECONDS_TO_CONVERT) reasons.push({ code: 'fast_conversion', secondsToConvert: Math.round(parseFloat(stats.seconds_to_convert)) });
+    if (parseInt(stats.ip_conversions) > FRAUD_MAX_CONVERSIONS_PER_IP) reasons.push({ code: 'ip_velocity', conversionsLast24h: parseInt(stats.ip_conversions) });
+    if (reasons.length === 0) continue;
+
+    await pool.query('UPDATE conversions SET on_hold = TRUE WHERE id = $1', [conversion.id]);
+    await pool.query(
+      'INSERT INTO fraud_reviews (conversion_id, reasons) VALUES ($1, $2) ON CONFLICT (conversion_id) DO NOTHING',
+      [conversion.id, JSON.stringify(reasons)]
+    );
+    console.log(`🚩 Conversion ${conversion.id} flagged for review: ${reasons.map(r => r.code).join(', ')}`);
+  }
+}
+
+// ============================================
+// CLICK DETAILS (GEOIP / USER AGENT)
+// ============================================
+// GEOIP_DB_PATH: lokale MaxMind-Datenbank (z.B. GeoLite2-Country.mmdb); ohne Datei bleibt das Land leer
+let geoipReader;
+
+function openGeoipReader() {
+  if (geoipReader === undefined) {
+    geoipReader = process.env.GEOIP_DB_PATH
+      ? require('maxmind').open(process.env.GEOIP_DB_PATH).catch(err => {
+        console.error('❌ GeoIP database error:', err.message);
+        return null;
+      })
+      : Promise.resolve(null);
+  }
+  return geoipReader;
+}
+
+async function lookupCountry(ip) {
+  const reader = await openGeoipReader();
+  if (!reader || !ip) return null;
+  try {
+    const result = reader.get(ip.replace(/^::ffff:/, ''));
+    return result?.country?.iso_code || result?.registered_country?.iso_code || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Reihenfolge zählt: Edge und Opera melden sich zusätzlich als Chrome, Chrome zusätzlich als Safari
+const BROWSER_PATTERNS = [
+  ['Edge', /edg(e|a|ios)?\//i],
+  ['Opera', /opr\/|opera/i],
+  ['Samsung Internet', /samsungbrowser/i],
+  ['Firefox', /firefox|fxios/i],
+  ['Chrome', /chrome|crios|chromium/i],
+  ['Safari', /safari/i]
+];
+
+function parseUserAgent(userAgent) {
+  if (!userAgent) return { deviceType: null, browser: null };
+  if (BOT_USER_AGENT.test(userAgent)) return { deviceType: 'bot', browser: null };
+  const deviceType = /ipad|tablet|kindle|silk|android(?!.*mobi)/i.test(userAgent) ? 'tablet'
+    : /mobi|iphone|ipod|android|windows phone/i.test(userAgent) ? 'mobile'
+      : 'desktop';
+  const browser = (BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent)) || ['Other'])[0];
+  return { deviceType, browser };
+}
+
+// Nur der Hostname der verweisenden Seite wird gespeichert
+function referrerHost(referer) {
+  try {
+    return new URL(referer).hostname.toLowerCase().replace(/^www\./, '').slice(0, 255) || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// ============================================
+// ATTRIBUTION
+// ============================================
+// /aff/:code setzt die Besucher-ID als Cookie. Beim Kauf werden alle Klicks dieses Besuchers auf Links
+// desselben Produkts im Attributionsfenster betrachtet und nach dem Modell des Produkts verteilt.
+const ATTRIBUTION_MODELS = ['first_click', 'last_click', 'linear', 'time_decay'];
+const TIME_DECAY_HALF_LIFE_DAYS = 7;
+
+async function findTouches({ link, visitorId, attributionDays }) {
+  // Ohne Besucher-ID zählt nur der übergebene Link; die Klicks anderer Besucher werden nicht herangezogen
+  const result = visitorId
+    ? await pool.query(
+      `SELECT cl.link_id, al.user_id, MIN(cl.clicked_at) as first_click_at, MAX(cl.clicked_at) as last_click_at,
+        (ARRAY_AGG(cl.id ORDER BY cl.clicked_at DESC))[1] as click_id
+       FROM clicks cl JOIN affiliate_links al ON cl.link_id = al.id
+       WHERE cl.visitor_id = $1 AND al.product_id = $2 AND cl.flag IS NULL AND cl.clicked_at >= NOW() - make_interval(days => $3)
+       GROUP BY cl.link_id, al.user_id`,
+      [String(visitorId), link.product_id, attributionDays]
+    )
+    : await pool.query(
+      `SELECT cl.link_id, al.user_id, MIN(cl.clicked_at) as first_click_at, MAX(cl.clicked_at) as last_click_at,
+        (ARRAY_AGG(cl.id ORDER BY cl.clicked_at DESC))[1] as click_id
+       FROM clicks cl JOIN affiliate_links al ON cl.link_id = al.id
+       WHERE cl.link_id = $1 AND cl.flag IS NULL AND cl.clicked_at >= NOW() - make_interval(days => $2)
+       GROUP BY cl.link_id, al.user_id`,
+      [link.id, attributionDays]
+    );
+  return result.rows;
+}
+
+// Liefert [{ touch, share }] mit Anteilen, die sich zu 1 summieren
+function attributeTouches(touches, model) {
+  const byTime = (field) => [...touches].sort((a, b) => new Date(a[field]) - new Date(b[field]));
+  if (model === 'first_click') return [{ touch: byTime('first_click_at')[0], share: 1 }];
+  if (model === 'linear') return touches.map(touch => ({ touch, share: 1 / touches.length }));
+  if (model === 'time_decay') {
+    const now = Date.now();
+    const weights = touches.map(touch => Math.pow(0.5, (now - new Date(touch.last_click_at).getTime()) / (TIME_DECAY_HALF_LIFE_DAYS * 86400000)));
+    const sum = weights.reduce((a, b) => a + b, 0);
+    return touches.map((touch, i) => ({ touch, share: weights[i] / sum }));
+  }
+  return [{ touch: byTime('last_click_at')[touches.length - 1], share: 1 }];
+}
+
+// ============================================
+// LEDGER
+// ============================================
+// Doppelte Buchführung: jede Buchung besteht aus zwei Einträgen, die sich zu 0 summieren.
+// Nutzerkonten: available (auszahlbar), reserved (beantragt), paid_out, vat_paid_out (mitüberwiesene USt.).
+// Plattformkonten (user_id NULL): commissions, input_vat (Vorsteuer aus Gutschriften).
+// Gebucht wird in der Auszahlungswährung des Affiliates; Salden gelten jeweils pro Währung.
+const PLATFORM_ACCOUNTS = ['commissions', 'input_vat'];
+
+async function postLedger(client, { type, userId, from, to, amount, currency = BASE_CURRENCY, conversionId = null, payoutId = null }) {
+  if (!(amount > 0)) return;
+  const owner = (account) => PLATFORM_ACCOUNTS.includes(account) ? null : userId;
+  await client.query(
+    `INSERT INTO ledger_entries (transaction_id, user_id, account, amount, currency, entry_type, conversion_id, payout_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8), ($1, $9, $10, $11, $5, $6, $7, $8)`,
+    [crypto.randomUUID(), owner(from), from, -amount, currency, type, conversionId, payoutId, owner(to), to, amount]
+  );
+}
+
+async function ledgerBalances(client, userId, currency = BASE_CURRENCY) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount) FILTER (WHERE account = 'available'), 0) as available,
+      COALESCE(SUM(amount) FILTER (WHERE account = 'reserved'), 0) as reserved,
+      COALESCE(SUM(amount) FILTER (WHERE account = 'paid_out'), 0) as paid_out
+     FROM ledger_entries WHERE user_id = $1 AND currency = $2`,
+    [userId, currency]
+  );
+  const row = result.rows[0];
+  return { available: parseFloat(row.available), reserved: parseFloat(row.reserved), paidOut: parseFloat(row.paid_out) };
+}
+
+// Einmalige Übernahme des Bestands; mehrfach ausführbar, da nur fehlende Buchungen ergänzt werden
+async function backfillLedger(client) {
+  await client.query(`
+    INSERT INTO ledger_entries (transaction_id, user_id, account, amount, entry_type, conversion_id)
+    SELECT x.tx, v.user_id, v.account, v.amount, 'earning', x.id
+    FROM (
+      SELECT gen_random_uuid() as tx, c.id, al.user_id, c.commission - c.reversed_commission as net
+      FROM conversions c JOIN affiliate_links al ON c.link_id = al.id
+      WHERE c.status IN ('approved', 'paid') AND c.commission - c.reversed_commission > 0
+        AND NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.conversion_id = c.id)
+    ) x
+    CROSS JOIN LATERAL (VALUES (NULL::integer, 'commissions', -x.net), (x.user_id, 'available', x.net)) v(user_id, account, amount);
+
+    INSERT INTO ledger_entries (transaction_id, user_id, account, amount, entry_type, payout_id)
+    SELECT x.tx, x.user_id, v.account, v.amount, 'reservation', x.id
+    FROM (
+      SELECT gen_random_uuid() as tx, p.id, p.user_id, p.amount FROM payouts p
+      WHERE p.status IN ('requested', 'approved', 'processing', 'failed', 'paid')
+        AND NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.payout_id = p.id AND le.entry_type = 'reservation')
+    ) x
+    CROSS JOIN LATERAL (VALUES ('available', -x.amount), ('reserved', x.amount)) v(account, amount);
+
+    INSERT INTO ledger_entries (transaction_id, user_id, account, amount, entry_type, payout_id)
+    SELECT x.tx, x.user_id, v.account, v.amount, 'payout', x.id
+    FROM (
+      SELECT gen_random_uuid() as tx, p.id, p.user_id, p.amount FROM payouts p
+      WHERE p.status = 'paid' AND NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.payout_id = p.id AND le.entry_type = 'payout')
+    ) x
+    CROSS JOIN LATERAL (VALUES ('reserved', -x.amount), ('paid_out', x.amount)) v(account, amount);
+  `);
+}
+
+// ============================================
+// REFERRAL PROGRAM
+// ============================================
+// Marketer werben über ihren Referral-Code weitere Marketer. Verdient ein Recruit eine Provision (Freigabe der Conversion),
+// erhalten die Werber der oberen Ebenen eine Override-Provision laut Einstellung referral_override_rates als eigene Ledger-Buchung.
+// Die Override geht nicht zu Lasten des Recruits; Stornos der Conversion werden anteilig zurückgebucht.
+const REFERRAL_MAX_LEVELS = 5;
+const REFERRAL_MAX_PERCENT = 50;
+const REFERRALS_PAGE_SIZE = 50;
+
+const generateReferralCode = () => crypto.randomBytes(5).toString('hex').toUpperCase();
+
+const isValidOverrideRates = (rates) => Array.isArray(rates) && rates.length <= REFERRAL_MAX_LEVELS
+  && rates.every(rate => typeof rate === 'number' && rate >= 0 && rate <= REFERRAL_MAX_PERCENT);
+
+// Gibt { referrer } (ggf. null) zurück oder { error }
+async function findReferrer(referralCode) {
+  if (referralCode === undefined || referralCode === null || referralCode === '') return { referrer: null };
+  const result = await pool.query('SELECT id FROM users WHERE referral_code = $1', [String(referralCode).trim().toUpperCase()]);
+  if (result.rows.length === 0) return { error: 'Invalid referral code' };
+  return { referrer: result.rows[0].id };
+}
+
+// Erwartet eine offene Transaktion; conversion mit user_id des Recruits, Beträge in der Währung der Conversion
+async function creditReferralOverrides(client, conversion, rates) {
+  const net = parseFloat(conversion.commission) - parseFloat(conversion.reversed_commission);
+  if (rates.length === 0 || !(net > 0)) return;
+  const upline = await client.query(
+    `WITH RECURSIVE upline AS (
+       SELECT referred_by as user_id, 1 as level FROM users WHERE id = $1
+       UNION ALL
+       SELECT u.referred_by, upline.level + 1 FROM upline JOIN users u ON u.id = upline.user_id WHERE upline.level < $2
+     )
+     SELECT upline.user_id, upline.level, u.payout_currency, alug_rate(u.payout_currency) / alug_rate($3) as payout_rate
+     FROM upline JOIN users u ON u.id = upline.user_id ORDER BY upline.level FOR SHARE OF u`,
+    [conversion.user_id, rates.length, conversion.currency]
+  );
+  for (const sponsor of upline.rows) {
+    const percent = rates[sponsor.level - 1];
+    const amount = roundMoney(net * percent / 100 * parseFloat(sponsor.payout_rate));
+    if (!(amount > 0)) continue;
+    const inserted = await client.query(
+      `INSERT INTO referral_overrides (conversion_id, user_id, recruit_id, level, percent, payout_rate, amount, currency)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) ON CONFLICT (conversion_id, level) DO NOTHING RETURNING id`,
+      [conversion.id, sponsor.user_id, conversion.user_id, sponsor.level, percent, sponsor.payout_rate, amount, sponsor.payout_currency]
+    );
+    if (inserted.rows.length === 0) continue;
+    await postLedger(client, {
+      type: 'referral_override', userId: sponsor.user_id, from: 'commissions', to: 'available',
+      amount, currency: sponsor.payout_currency, conversionId: conversion.id
+    });
+  }
+}
+
+// Erwartet eine offene Transaktion; commissionDelta in der Währung der Conversion
+async function reverseReferralOverrides(client, conversionId, commissionDelta, fullyReversed) {
+  const overrides = await client.query(
+    'SELECT * FROM referral_overrides WHERE conversion_id = $1 AND amount > reversed_amount ORDER BY level FOR UPDATE',
+    [conversionId]
+  );
+  for (const override of overrides.rows) {
+    const open = parseFloat(override.amount) - parseFloat(override.reversed_amount);
+    const delta = fullyReversed ? open : Math.min(open, roundMoney(commissionDelta * parseFloat(override.percent) / 100 * parseFloat(override.payout_rate)));
+    if (!(delta > 0)) continue;
+    await client.query('UPDATE referral_overrides SET reversed_amount = reversed_amount + $1 WHERE id = $2', [delta, override.id]);
+    await postLedger(client, {
+      type: 'referral_override_reversal', userId: override.user_id, from: 'available', to: 'commissions',
+      amount: delta, currency: override.currency, conversionId
+    });
+  }
+}
+
+// Bestandsnutzer erhalten ihren Code beim ersten Abruf
+app.get('/api/referrals', authenticateToken, async (req, res) => {
+  try {
+    let result = await pool.query('SELECT referral_code FROM users WHERE id = $1', [req.user.userId]);
+    if (!result.rows[0].referral_code) {
+      result = await pool.query(
+        'UPDATE users SET referral_code = COALESCE(referral_code, $1) WHERE id = $2 RETURNING referral_code',
+        [generateReferralCode(), req.user.userId]
+      );
+    }
+    const referralCode = result.rows[0].referral_code;
+    const rates = await getSetting('referral_override_rates');
+    const summary = await pool.query(
+      `SELECT s.id as sponsor_id, s.name as sponsor_name,
+         (SELECT COUNT(*)::int FROM users WHERE referred_by = $1) as recruits,
+         (SELECT COALESCE(json_agg(e ORDER BY e.currency), '[]') FROM (
+            SELECT currency, SUM(amount) as earned, SUM(reversed_amount) as reversed, SUM(amount - reversed_amount) as net
+            FROM referral_overrides WHERE user_id = $1 GROUP BY currency
+          ) e) as earnings
+       FROM users u LEFT JOIN users s ON u.referred_by = s.id WHERE u.id = $1`,
+      [req.user.userId]
+    );
+    const row = summary.rows[0];
+    res.json({
+      referralCode,
+      referralUrl: `${FRONTEND_URL}/register?ref=${referralCode}`,
+      referredBy: row.sponsor_id ? { id: row.sponsor_id, name: row.sponsor_name } : null,
+      overrideRates: rates,
+      recruits: row.recruits,
+      earnings: row.earnings
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch referral info' });
+  }
+});
+
+// Alle Ebenen bis REFERRAL_MAX_LEVELS; earnings sind die Overrides, die der Nutzer am jeweiligen Recruit verdient hat
+app.get('/api/referrals/downline', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `WITH RECURSIVE downline AS (
+         SELECT id, name, referred_by, created_at, 1 as level FROM users WHERE referred_by = $1
+         UNION ALL
+         SELECT u.id, u.name, u.referred_by, u.created_at, d.level + 1 FROM users u JOIN downline d ON u.referred_by = d.id WHERE d.level < $2
+       )
+       SELECT d.id, d.name, d.level, d.referred_by, d.created_at as joined_at,
+         (SELECT COUNT(*)::int FROM users WHERE referred_by = d.id) as recruits,
+         (SELECT COALESCE(json_agg(e ORDER BY e.currency), '[]') FROM (
+            SELECT currency, SUM(amount - reversed_amount) as net FROM referral_overrides
+            WHERE user_id = $1 AND recruit_id = d.id GROUP BY currency
+          ) e) as earnings
+       FROM downline d ORDER BY d.level, d.created_at`,
+      [req.user.userId, REFERRAL_MAX_LEVELS]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch downline' });
+  }
+});
+
+// Einzelne Override-Gutschriften, neueste zuerst; ?cursor aus nextCursor für die nächste Seite
+app.get('/api/referrals/earnings', authenticateToken, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    if (cursor !== undefined && !/^\d+$/.test(cursor)) return res.status(400).json({ error: 'cursor must be an id' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || REFERRALS_PAGE_SIZE, 1), 200);
+    const result = await pool.query(
+      `SELECT ro.id, ro.conversion_id, ro.level, ro.percent, ro.amount, ro.reversed_amount, ro.currency, ro.created_at,
+         ro.recruit_id, u.name as recruit_name, c.converted_at, c.status as conversion_status
+       FROM referral_overrides ro LEFT JOIN users u ON ro.recruit_id = u.id LEFT JOIN conversions c ON ro.conversion_id = c.id
+       WHERE ro.user_id = $1 AND ($2::int IS NULL OR ro.id < $2)
+       ORDER BY ro.id DESC LIMIT $3`,
+      [req.user.userId, cursor ? parseInt(cursor) : null, limit + 1]
+    );
+    const earnings = result.rows.slice(0, limit);
+    res.json({ earnings, nextCursor: result.rows.length > limit ? String(earnings[earnings.length - 1].id) : null });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch referral earnings' });
+  }
+});
+
+// ============================================
+// OUTGOING WEBHOOKS
+// ============================================
+// Nutzer abonnieren Ereignisse an eigenen HTTPS-Endpunkten. Ereignisse werden in derselben Transaktion wie die
+// Änderung in webhook_deliveries eingereiht und von einem Worker zugestellt; Fehlschläge werden mit Backoff wiederholt.
+// Signatur wie bei eingehenden Webhooks: X-Alug-Signature = HMAC-SHA256(secret, "<X-Alug-Timestamp>.<Rohbody>") als Hex.
+const WEBHOOK_EVENT_TYPES = ['conversion.created', 'conversion.reversed', 'product.approved', 'product.rejected', 'partner.approved', 'payout.paid'];
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const WEBHOOK_RETRY_MINUTES = [1, 5, 30, 120, 720, 1440];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+const MAX_WEBHOOK_SUBSCRIPTIONS = 10;
+const WEBHOOK_DELIVERIES_PAGE_SIZE = 50;
+
+// Loopback, private Netze, Link-Local, CGNAT, Multicast und NAT64; IPv4-mapped IPv6 prüft BlockList gegen die IPv4-Netze
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+// Nur IP-Literale und localhost; Hostnamen löst resolveWebhookTarget erst beim Versand auf
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+// Gibt { url } zurück oder { error }; außerhalb von Produktion sind http://localhost-Endpunkte zum Testen erlaubt
+function parseWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch (err) {
+    return { error: 'url must be a valid URL' };
+  }
+  const production = process.env.NODE_ENV === 'production';
+  const local = isPrivateHost(url.hostname);
+  if (url.protocol !== 'https:' && !(local && !production)) return { error: 'url must be an HTTPS URL' };
+  if (local && production) return { error: 'url must not point to a private or local address' };
+  if (url.username || url.password) return { error: 'url must not contain credentials' };
+  return { url: url.toString() };
+}
+
+// Gibt { values } zurück oder { error }; fehlende Felder bleiben bei Updates unverändert
+function parseWebhookSubscription(body, existing = {}) {
+  const values = {};
+  if (body.url !== undefined || !existing.url) {
+    const parsed = parseWebhookUrl(body.url);
+    if (parsed.error) return parsed;
+    values.url = parsed.url;
+  }
+  if (body.events !== undefined || !existing.events) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    if (events.length === 0 || events.some(event => !WEBHOOK_EVENT_TYPES.includes(event))) {
+      return { error: `events must be a list of: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+    }
+    values.events = events;
+  }
+  if (body.description !== undefined) values.description = body.description === null ? null : String(body.description).trim().slice(0, 255) || null;
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be a boolean' };
+    values.active = body.active;
+  }
+  return { values };
+}
+
+// Reiht das Ereignis für alle aktiven Abos des Nutzers ein; db ist der Pool oder ein Client mit offener Transaktion
+async function emitEvent(db, userId, type, data) {
+  if (!userId) return;
+  const eventId = crypto.randomUUID();
+  await db.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+     SELECT id, $2, $3::text, $4 FROM webhook_subscriptions WHERE user_id = $1 AND active = TRUE AND $3::text = ANY(events)`,
+    [userId, eventId, type, { id: eventId, type, created_at: new Date().toISOString(), data }]
+  );
+}
+
+const conversionEventData = (conversion) => ({
+  id: conversion.id, link_id: conversion.link_id, order_id: conversion.order_id, status: conversion.status,
+  amount: conversion.amount, commission: conversion.commission, currency: conversion.currency,
+  refunded_amount: conversion.refunded_amount, reversed_commission: conversion.reversed_commission,
+  converted_at: conversion.converted_at, ...Object.fromEntries(SUB_IDS.map(sub => [sub, conversion[sub]]))
+});
+
+// Affiliate (Besitzer des Links) und Partner erhalten das Ereignis jeweils über ihre eigenen Abos
+async function emitConversionEvent(db, type, conversion, extra = {}) {
+  const owner = await db.query('SELECT user_id FROM affiliate_links WHERE id = $1', [conversion.link_id]);
+  const data = { ...conversionEventData(conversion), ...extra };
+  await emitEvent(db, owner.rows[0]?.user_id, type, data);
+  if (conversion.partner_id !== owner.rows[0]?.user_id) await emitEvent(db, conversion.partner_id, type, data);
+}
+
+// Gibt { address, checked } zurück oder { error }. Die Adresse wird beim Versand festgehalten, damit der Host nach der
+// Prüfung nicht auf eine interne Adresse umgebogen werden kann (DNS-Rebinding). Private Ziele sind nur außerhalb von
+// Produktion erlaubt (checked: false).
+async function resolveWebhookTarget(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+  const local = isPrivateHost(url.hostname) || addresses.some(({ address }) => isPrivateAddress(address));
+  if (local && process.env.NODE_ENV === 'production') return { error: 'Host resolves to a private or local address' };
+  return { address: addresses[0], checked: !local };
+}
+
+// POST an die geprüfte Adresse; Host-Header und TLS-Servername bleiben beim Hostnamen der URL. Weiterleitungen werden nicht verfolgt.
+function postWebhook(url, { headers, body, address }) {
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: (hostname, options, callback) => options.all ? callback(null, [address]) : callback(null, address.address, address.family),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, response => {
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        if (size < 2000) chunks.push(chunk);
+        size += chunk.length;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+async function sendWebhook(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+  try {
+    const url = new URL(delivery.url);
+    const target = await resolveWebhookTarget(url);
+    if (target.error) return { ok: false, status: null, body: null, error: target.error, durationMs: Date.now() - started };
+    const response = await postWebhook(url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ALUG-Webhooks/1.0',
+        'X-Alug-Event': delivery.event_type,
+        'X-Alug-Delivery': String(delivery.id),
+        'X-Alug-Timestamp': timestamp,
+        'X-Alug-Signature': crypto.createHmac('sha256', delivery.secret).update(`${timestamp}.${body}`).digest('hex')
+      },
+      body,
+      address: target.address
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    // Fehlerantworten ungeprüfter (lokaler) Ziele werden nicht gespeichert, sie könnten interne Daten enthalten
+    const responseBody = ok || target.checked ? response.body.slice(0, 2000) : null;
+    return { ok, status: response.status, body: responseBody, error: ok ? null : `HTTP ${response.status}`, durationMs: Date.now() - started };
+  } catch (err) {
+    return { ok: false, status: null, body: null, error: err.name === 'AbortError' ? 'Timeout' : err.message, durationMs: Date.now() - started };
+  }
+}
+
+// Fällige Zustellungen werden für 5 Minuten reserviert, damit parallele Instanzen sie nicht doppelt senden
+let webhookWorkerRunning = false;
+async function processWebhookDeliveries() {
+  if (webhookWorkerRunning) return;
+  webhookWorkerRunning = true;
+  try {
+    for (;;) {
+      const claimed = await pool.query(
+        `UPDATE webhook_deliveries d SET attempts = d.attempts + 1, next_attempt_at = CURRENT_TIMESTAMP + INTERVAL '5 minutes'
+         FROM webhook_subscriptions s
+         WHERE d.subscription_id = s.id AND d.id IN (
+           SELECT wd.id FROM webhook_deliveries wd JOIN webhook_subscriptions ws ON wd.subscription_id = ws.id
+           WHERE wd.status = 'pending' AND wd.next_attempt_at <= CURRENT_TIMESTAMP AND ws.active = TRUE
+           ORDER BY wd.next_attempt_at, wd.id LIMIT $1 FOR UPDATE OF wd SKIP LOCKED
+         )
+         RETURNING d.*, s.url, s.secret`,
+        [WEBHOOK_BATCH_SIZE]
+      );
+      for (const delivery of claimed.rows) {
+        const result = await sendWebhook(delivery);
+        const retryMinutes = WEBHOOK_RETRY_MINUTES[delivery.attempts - 1];
+        const status = result.ok ? 'delivered' : retryMinutes === undefined ? 'failed' : 'pending';
+        await pool.query(
+          `UPDATE webhook_deliveries SET status = $1::varchar, response_status = $2, response_body = $3, error = $4, duration_ms = $5,
+             delivered_at = CASE WHEN $1::varchar = 'delivered' THEN CURRENT_TIMESTAMP ELSE NULL END,
+             next_attempt_at = CASE WHEN $1::varchar = 'pending' THEN CURRENT_TIMESTAMP + make_interval(mins => $6) ELSE NULL END
+           WHERE id = $7`,
+          [status, result.status, result.body, result.error, result.durationMs, retryMinutes ?? 0, delivery.id]
+        );
+      }
+      if (claimed.rows.length < WEBHOOK_BATCH_SIZE) break;
+    }
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+scheduleJob(() => processWebhookDeliveries().catch(err => console.error('❌ Webhook delivery error:', err)), 15 * 1000);
+scheduleJob(() => {
+  pool.query(`DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)`, [WEBHOOK_DELIVERY_RETENTION_DAYS])
+    .catch(err => console.error('❌ Webhook delivery cleanup error:', err));
+}, 24 * 60 * 60 * 1000);
+
+app.get('/api/webhooks/event-types', authenticateToken, (req, res) => {
+  res.json(WEBHOOK_EVENT_TYPES);
+});
+
+app.get('/api/webhooks/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*,
+         (SELECT COUNT(*)::int FROM webhook_deliveries WHERE subscription_id = s.id AND status = 'pending') as pending_deliveries,
+         (SELECT COUNT(*)::int FROM webhook_deliveries WHERE subscription_id = s.id AND status = 'failed') as failed_deliveries
+       FROM webhook_subscriptions s WHERE s.user_id = $1 ORDER BY s.created_at`,
+      [req.user.userId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch webhook subscriptions' });
+  }
+});
+
+app.post('/api/webhooks/subscriptions', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  const parsed = parseWebhookSubscription(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const count = await pool.query('SELECT COUNT(*)::int as count FROM webhook_subscriptions WHERE user_id = $1', [req.user.userId]);
+    if (count.rows[0].count >= MAX_WEBHOOK_SUBSCRIPTIONS) return res.status(400).json({ error: `At most ${MAX_WEBHOOK_SUBSCRIPTIONS} webhook subscriptions allowed` });
+    const { url, events, description = null, active = true } = parsed.values;
+    const result = await pool.query(
+      'INSERT INTO webhook_subscriptions (user_id, url, events, secret, description, active) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [req.user.userId, url, events, generateWebhookSecret(), description, active]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create webhook subscription' });
+  }
+});
+
+app.put('/api/webhooks/subscriptions/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = $1 AND user_id = $2', [req.params.id, req.user.userId]);
+    if (existing.rows.length === 0) return res.status(404).json({ error: 'Webhook subscription not found' });
+    const parsed = parseWebhookSubscription(req.body, existing.rows[0]);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const { url, events, description, active } = { ...existing.rows[0], ...parsed.values };
+    const result = await pool.query(
+      'UPDATE webhook_subscriptions SET url = $1, events = $2, description = $3, active = $4 WHERE id = $5 RETURNING *',
+      [url, events, description, active, req.params.id]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update webhook subscription' });
+  }
+});
+
+app.delete('/api/webhooks/subscriptions/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1 AND user_id = $2 RETURNING id', [req.params.id, req.user.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Webhook subscription not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete webhook subscription' });
+  }
+});
+
+// Neues Secret; bis zur Umstellung beim Empfänger schlagen Zustellungen fehl und werden wiederholt
+app.post('/api/webhooks/subscriptions/:id/rotate-secret', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE webhook_subscriptions SET secret = $1 WHERE id = $2 AND user_id = $3 RETURNING *',
+      [generateWebhookSecret(), req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Webhook subscription not found' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// Zustellprotokoll, neueste zuerst; ?subscriptionId, ?status, ?eventType, ?cursor
+app.get('/api/webhooks/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const { subscriptionId, status, eventType, cursor } = req.query;
+    if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+    if (eventType && !WEBHOOK_EVENT_TYPES.includes(eventType)) return res.status(400).json({ error: `eventType must be one of: ${WEBHOOK_EVENT_TYPES.join(', ')}` });
+    for (const [key, value] of Object.entries({ subscriptionId, cursor })) {
+      if (value !== undefined && !/^\d+$/.test(value)) return res.status(400).json({ error: `${key} must be an id` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || WEBHOOK_DELIVERIES_PAGE_SIZE, 1), 200);
+
+    const params = [];
+    const param = (value) => { params.push(value); return `$${params.length}`; };
+    const conditions = [`s.user_id = ${param(req.user.userId)}`];
+    if (subscriptionId) conditions.push(`d.subscription_id = ${param(parseInt(subscriptionId))}`);
+    if (status) conditions.push(`d.status = ${param(status)}`);
+    if (eventType) conditions.push(`d.event_type = ${param(eventType)}`);
+    if (cursor) conditions.push(`d.id < ${param(parseInt(cursor))}`);
+
+    const result = await pool.query(
+      `SELECT d.id, d.subscription_id, s.url, d.event_id, d.event_type, d.status, d.attempts, d.next_attempt_at,
+         d.response_status, d.error, d.duration_ms, d.redelivery_of, d.delivered_at, d.created_at
+       FROM webhook_deliveries d JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY d.id DESC LIMIT ${param(limit + 1)}`,
+      params
+    );
+    const deliveries = result.rows.slice(0, limit);
+    res.json({ deliveries, nextCursor: result.rows.length > limit ? String(deliveries[deliveries.length - 1].id) : null });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+app.get('/api/webhooks/deliveries/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT d.*, s.url FROM webhook_deliveries d JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       WHERE d.id = $1 AND s.user_id = $2`,
+      [req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// Legt eine neue Zustellung mit identischem Ereignis (gleiche Event-ID) an; das Protokoll der alten bleibt erhalten
+app.post('/api/webhooks/deliveries/:id/redeliver', authenticateToken, async (req, res) => {
+  try {
+    const existing = await pool.query(
+      `SELECT d.*, s.active FROM webhook_deliveries d JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       WHERE d.id = $1 AND s.user_id = $2`,
+      [req.params.id, req.user.userId]
+    );
+    const delivery = existing.rows[0];
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    if (!delivery.active) return res.status(409).json({ error: 'Webhook subscription is paused' });
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, redelivery_of)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id, subscription_id, event_id, event_type, status, attempts, next_attempt_at, redelivery_of, created_at`,
+      [delivery.subscription_id, delivery.event_id, delivery.event_type, delivery.payload, delivery.id]
+    );
+    processWebhookDeliveries().catch(err => console.error('❌ Webhook delivery error:', err));
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+// In-App-Benachrichtigungen je Nutzer; pro Typ abschaltbar (users.notification_preferences, Standard: an).
+// Zusätzlich täglicher oder wöchentlicher E-Mail-Digest über den konfigurierten Mail-Transport (siehe MAILER).
+const NOTIFICATION_TYPES = {
+  'commission.earned': { admin: false },
+  'commission.reversed': { admin: false },
+  'payout.paid': { admin: false },
+  'product.approved': { admin: false },
+  'product.rejected': { admin: false },
+  'partner.approved': { admin: false },
+  'partner.applied': { admin: true },
+  'payout.requested': { admin: true }
+};
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR) || 7;
+const NOTIFICATIONS_PAGE_SIZE = 50;
+
+// db ist der Pool oder ein Client mit offener Transaktion; abgeschaltete Typen werden nicht angelegt
+async function notify(db, userId, type, { title, body = null, link = null, data = null }) {
+  if (!userId) return;
+  await db.query(
+    `INSERT INTO notifications (user_id, type, title, body, link, data)
+     SELECT id, $2::text, $3, $4, $5, $6 FROM users WHERE id = $1 AND COALESCE((notification_preferences ->> $2::text)::boolean, TRUE)`,
+    [userId, type, title, body, link, data]
+  );
+}
+
+async function notifyAdmins(db, type, notification) {
+  const admins = await db.query('SELECT id FROM users WHERE is_admin = TRUE');
+  for (const admin of admins.rows) await notify(db, admin.id, type, notification);
+}
+
+const notificationTypesFor = (user) => Object.keys(NOTIFICATION_TYPES).filter(type => user.isAdmin || !NOTIFICATION_TYPES[type].admin);
+
+// ?unread=true, ?cursor aus nextCursor für die nächste Seite
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    if (cursor !== undefined && !/^\d+$/.test(cursor)) return res.status(400).json({ error: 'cursor must be an id' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || NOTIFICATIONS_PAGE_SIZE, 1), 200);
+    const result = await pool.query(
+      `SELECT id, type, title, body, link, data, read_at, created_at FROM notifications
+       WHERE user_id = $1 AND ($2::int IS NULL OR id < $2) AND (NOT $3 OR read_at IS NULL)
+       ORDER BY id DESC LIMIT $4`,
+      [req.user.userId, cursor ? parseInt(cursor) : null, req.query.unread === 'true', limit + 1]
+    );
+    const unread = await pool.query('SELECT COUNT(*)::int as count FROM notifications WHERE user_id = $1 AND read_at IS NULL', [req.user.userId]);
+    const notifications = result.rows.slice(0, limit);
+    res.json({ notifications, unreadCount: unread.rows[0].count, nextCursor: result.rows.length > limit ? String(notifications[notifications.length - 1].id) : null });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+app.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT COUNT(*)::int as count FROM notifications WHERE user_id = $1 AND read_at IS NULL', [req.user.userId]);
+    res.json({ count: result.rows[0].count });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+// { ids: [...] } markiert ausgewählte, ohne ids alle Benachrichtigungen als gelesen
+app.post('/api/notifications/read', authenticateToken, async (req, res) => {
+  try {
+    const ids = req.body.ids === undefined ? null : parseIdList(req.body.ids);
+    if (ids !== null && ids.length === 0) return res.status(400).json({ error: 'ids must be a list of notification ids' });
+    const result = await pool.query(
+      `UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND read_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2::int[])) RETURNING id`,
+      [req.user.userId, ids]
+    );
+    const unread = await pool.query('SELECT COUNT(*)::int as count FROM notifications WHERE user_id = $1 AND read_at IS NULL', [req.user.userId]);
+    res.json({ marked: result.rows.map(row => row.id), unreadCount: unread.rows[0].count });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+app.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT notification_preferences, digest_frequency FROM users WHERE id = $1', [req.user.userId]);
+    const { notification_preferences: stored, digest_frequency } = result.rows[0];
+    res.json({
+      types: Object.fromEntries(notificationTypesFor(req.user).map(type => [type, stored?.[type] ?? true])),
+      digest: digest_frequency
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// { types: { 'commission.earned': false, ... }, digest: 'off' | 'daily' | 'weekly' }; nicht genannte Typen bleiben unverändert
+app.put('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  const { types = {}, digest } = req.body;
+  const allowed = notificationTypesFor(req.user);
+  if (typeof types !== 'object' || Array.isArray(types) || types === null) return res.status(400).json({ error: 'types must be an object' });
+  for (const [type, enabled] of Object.entries(types)) {
+    if (!allowed.includes(type)) return res.status(400).json({ error: `Unknown notification type: ${type}` });
+    if (typeof enabled !== 'boolean') return res.status(400).json({ error: `Preference for ${type} must be a boolean` });
+  }
+  if (digest !== undefined && !DIGEST_FREQUENCIES.includes(digest)) return res.status(400).json({ error: `digest must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+  try {
+    const result = await pool.query(
+      `UPDATE users SET notification_preferences = COALESCE(notification_preferences, '{}') || $1::jsonb, digest_frequency = COALESCE($2, digest_frequency)
+       WHERE id = $3 RETURNING notification_preferences, digest_frequency`,
+      [types, digest ?? null, req.user.userId]
+    );
+    const { notification_preferences: stored, digest_frequency } = result.rows[0];
+    res.json({ types: Object.fromEntries(allowed.map(type => [type, stored?.[type] ?? true])), digest: digest_frequency });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save notification preferences' });
+  }
+});
+
+// Zeitraum (period_from/period_to aus sendDueDigests): gestern bzw. die Vorwoche von Montag bis Sonntag
+async function sendDigest(user) {
+  const days = user.digest_frequency === 'daily' ? 1 : 7;
+  const { period_from: from, period_to: to } = user;
+  const currency = user.payout_currency || BASE_CURRENCY;
+
+  const earnings = await pool.query(
+    `SELECT COALESCE(SUM(s.clicks), 0)::int as clicks, COALESCE(SUM(s.conversions), 0)::int as conversions, ${statsSumSql('commission', '$4')} as commission
+     FROM stats_daily s JOIN affiliate_links al ON s.link_id = al.id WHERE al.user_id = $1 AND s.day BETWEEN $2::date AND $3::date`,
+    [user.id, from, to, currency]
+  );
+  const sales = user.is_partner ? (await pool.query(
+    `SELECT COALESCE(SUM(s.clicks), 0)::int as clicks, COALESCE(SUM(s.conversions), 0)::int as conversions,
+       ${statsSumSql('amount', '$4')} as amount, ${statsSumSql('commission', '$4')} as commission
+     FROM stats_daily s JOIN affiliate_links al ON s.link_id = al.id JOIN products p ON al.product_id = p.id
+     WHERE p.vendor_id = $1 AND s.day BETWEEN $2::date AND $3::date`,
+    [user.id, from, to, BASE_CURRENCY]
+  )).rows[0] : null;
+  const unread = await pool.query('SELECT COUNT(*)::int as count FROM notifications WHERE user_id = $1 AND read_at IS NULL', [user.id]);
+  const { available } = await ledgerBalances(pool, user.id, currency);
+
+  const mine = earnings.rows[0];
+  const unreadCount = unread.rows[0].count;
+  if (mine.clicks === 0 && mine.conversions === 0 && !(sales?.clicks || sales?.conversions) && unreadCount === 0) return false;
+
+  const period = days === 1 ? formatDate(from) : `${formatDate(from)} – ${formatDate(to)}`;
+  const lines = [`Hallo ${user.name},`, '', `deine ${days === 1 ? 'tägliche' : 'wöchentliche'} Zusammenfassung für ${period}:`, ''];
+  if (mine.clicks > 0 || mine.conversions > 0 || available > 0) {
+    lines.push(
+      `Klicks: ${mine.clicks}`,
+      `Conversions: ${mine.conversions}`,
+      `Provision: ${formatMoney(mine.commission, currency)}`,
+      `Verfügbares Guthaben: ${formatMoney(available, currency)}`,
+      ''
+    );
+  }
+  if (sales && (sales.clicks > 0 || sales.conversions > 0)) {
+    lines.push(
+      'Deine Produkte:',
+      `Klicks: ${sales.clicks}`,
+      `Verkäufe: ${sales.conversions}`,
+      `Umsatz: ${formatMoney(sales.amount, BASE_CURRENCY)}`,
+      `Provisionen: ${formatMoney(sales.commission, BASE_CURRENCY)}`,
+      ''
+    );
+  }
+  if (unreadCount > 0) lines.push(`Ungelesene Benachrichtigungen: ${unreadCount}`, `${FRONTEND_URL}/notifications`, '');
+  lines.push(`Digest abbestellen oder ändern: ${FRONTEND_URL}/settings/notifications`);
+  await sendMail({ to: user.email, subject: `Deine ALUG-Zusammenfassung (${period})`, text: lines.join('\n') });
+  return true;
+}
+
+// Jeder Nutzer wird vor dem Versand reserviert (digest_sent_at), damit parallele Läufe nichts doppelt senden.
+// Uhrzeit, Fälligkeit und Zeitraum kommen alle aus der Datenbankuhr; ein wöchentlicher Digest ist fällig, solange in der
+// laufenden Woche noch keiner verschickt wurde, und wird so auch nachgeholt, wenn am Montag kein Lauf stattfand.
+async function sendDueDigests({ minHour = DIGEST_HOUR } = {}) {
+  const due = await pool.query(
+    `UPDATE users SET digest_sent_at = CURRENT_TIMESTAMP
+     WHERE email_verified = TRUE AND EXTRACT(HOUR FROM CURRENT_TIMESTAMP) >= $1
+       AND ((digest_frequency = 'daily' AND (digest_sent_at IS NULL OR digest_sent_at < CURRENT_DATE))
+         OR (digest_frequency = 'weekly' AND (digest_sent_at IS NULL OR digest_sent_at < date_trunc('week', CURRENT_DATE))))
+     RETURNING id, name, email, is_partner, payout_currency, digest_frequency,
+       (CASE WHEN digest_frequency = 'daily' THEN CURRENT_DATE - 1 ELSE date_trunc('week', CURRENT_DATE)::date - 7 END)::text as period_from,
+       (CASE WHEN digest_frequency = 'daily' THEN CURRENT_DATE ELSE date_trunc('week', CURRENT_DATE)::date END - 1)::text as period_to`,
+    [minHour]
+  );
+  let sent = 0;
+  for (const user of due.rows) {
+    try {
+      if (await sendDigest(user)) sent++;
+    } catch (err) {
+      console.error(`❌ Digest error for user ${user.id}:`, err);
+    }
+  }
+  return sent;
+}
+
+scheduleJob(() => sendDueDigests().catch(err => console.error('❌ Digest error:', err)), 60 * 60 * 1000);
+
+// ============================================
+// CONVERSION LIFECYCLE
+// ============================================
+// pending -> approved (nach Haltefrist) -> paid, oder reversed (Refund/Chargeback, vom Partner abgelehnt)
+const CONVERSION_STATUSES = ['pending', 'approved', 'paid', 'reversed'];
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Betrag einer Conversion in der Auszahlungswährung (Kurs wird bei der Freigabe festgeschrieben)
+const payoutValue = (conversion, amount) => roundMoney(amount * parseFloat(conversion.payout_rate));
+
+// Gibt offene Conversions frei und bucht die Netto-Provision auf das verfügbare Guthaben
+async function approveConversions(filterSql, params = []) {
+  const overrideRates = await getSetting('referral_override_rates');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Die Sperre auf die Affiliates verhindert, dass parallel die Auszahlungswährung gewechselt wird (PUT /api/payouts/currency)
+    await client.query(
+      `SELECT u.id FROM conversions c JOIN affiliate_links al ON al.id = c.link_id JOIN users u ON al.user_id = u.id
+       WHERE c.status = 'pending' AND c.on_hold = FALSE AND ${filterSql} ORDER BY u.id FOR SHARE OF u`,
+      params
+    );
+    const result = await client.query(
+      `UPDATE conversions c SET status = 'approved', approved_at = CURRENT_TIMESTAMP,
+         payout_currency = u.payout_currency, payout_rate = alug_rate(u.payout_currency) / alug_rate(c.currency)
+       FROM affiliate_links al JOIN users u ON al.user_id = u.id
+       WHERE al.id = c.link_id AND c.status = 'pending' AND c.on_hold = FALSE AND ${filterSql}
+       RETURNING c.*, al.user_id`,
+      params
+    );
+    for (const row of result.rows) {
+      await postLedger(client, {
+        type: 'earning', userId: row.user_id, from: 'commissions', to: 'available', currency: row.payout_currency,
+        amount: payoutValue(row, parseFloat(row.commission) - parseFloat(row.reversed_commission)), conversionId: row.id
+      });
+      await creditReferralOverrides(client, row, overrideRates);
+    }
+    await client.query('COMMIT');
+    return result.rows;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const approveDueConversions = () => approveConversions('c.payable_at <= CURRENT_TIMESTAMP');
+scheduleJob(() => approveDueConversions().catch(err => console.error('❌ Conversion approval error:', err)), 60 * 60 * 1000);
+
+// Markiert die ältesten freigegebenen Conversions als ausgezahlt, soweit die bezahlten Payouts sie abdecken
+// Erwartet eine offene Transaktion; payout_id ordnet die Conversions und Overrides der Gutschrift zu.
+// Verglichen wird in der Auszahlungswährung des Payouts; Override-Provisionen gelten als zuerst ausgezahlt.
+async function markConversionsPaid(client, userId, payoutId, currency) {
+  await client.query(
+    `WITH paid AS (
+       SELECT COALESCE(SUM(amount), 0) as total FROM payouts WHERE user_id = $1 AND status = 'paid' AND currency = $3
+     ),
+     candidates AS (
+       SELECT id, payout_id, SUM(amount - reversed_amount) OVER (ORDER BY created_at, id) as running
+       FROM referral_overrides WHERE user_id = $1 AND currency = $3
+     )
+     UPDATE referral_overrides SET payout_id = $2
+     WHERE id IN (SELECT candidates.id FROM candidates, paid WHERE candidates.payout_id IS NULL AND candidates.running <= paid.total)`,
+    [userId, payoutId, currency]
+  );
+  await client.query(
+    `WITH paid AS (
+       SELECT COALESCE((SELECT SUM(amount) FROM payouts WHERE user_id = $1 AND status = 'paid' AND currency = $3), 0)
+         - COALESCE((SELECT SUM(amount - reversed_amount) FROM referral_overrides WHERE user_id = $1 AND currency = $3), 0) as total
+     ),
+     settled AS (
+       SELECT COALESCE(SUM(ROUND((c.commission - c.reversed_commission) * c.payout_rate, 2)), 0) as total
+       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id WHERE al.user_id = $1 AND c.status = 'paid' AND c.payout_currency = $3
+     ),
+     candidates AS (
+       SELECT c.id, SUM(ROUND((c.commission - c.reversed_commission) * c.payout_rate, 2)) OVER (ORDER BY c.converted_at, c.id) as running
+       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id WHERE al.user_id = $1 AND c.status = 'approved' AND c.payout_currency = $3
+     )
+     UPDATE conversions SET status = 'paid', paid_at = CURRENT_TIMESTAMP, payout_id = $2
+     WHERE id IN (SELECT candidates.id FROM candidates, paid, settled WHERE candidates.running <= paid.total - settled.total)`,
+    [userId, payoutId, currency]
+  );
+}
+
+// Refund oder Chargeback: ohne amount wird der gesamte Restbetrag storniert, sonst anteilig.
+// externalId (z.B. Shopify-Refund-ID) verhindert, dass dieselbe Erstattung doppelt gebucht wird.
+// pendingOnly: nur noch offene Conversions (Ablehnung durch den Partner), geprüft nach der Zeilensperre.
+async function reverseConversion(conversion, { type, amount, reason, externalId, pendingOnly = false }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const locked = await client.query('SELECT * FROM conversions WHERE id = $1 FOR UPDATE', [conversion.id]);
+    const current = locked.rows[0];
+    if (pendingOnly && current.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return { status: 409, error: `Conversion is ${current.status}` };
+    }
+
+    if (externalId) {
+      const seen = await client.query('SELECT id FROM conversion_adjustments WHERE conversion_id = $1 AND external_id = $2', [current.id, externalId]);
+      if (seen.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return { conversion: current, duplicate: true };
+      }
+    }
+
+    const saleAmount = parseFloat(current.amount);
+    const remaining = saleAmount - parseFloat(current.refunded_amount);
+    const refund = amount === undefined || amount === null || amount === '' ? remaining : parseFloat(amount);
+    let error = null;
+    if (current.status === 'reversed' || remaining <= 0) error = { status: 409, error: 'Conversion already reversed' };
+    else if (isNaN(refund) || refund <= 0) error = { status: 400, error: 'amount must be a positive number' };
+    else if (refund > remaining + 0.001) error = { status: 400, error: `amount exceeds refundable amount of ${remaining.toFixed(2)}` };
+    if (error) {
+      await client.query('ROLLBACK');
+      return error;
+    }
+
+    const fullyReversed = refund >= remaining - 0.001;
+    const openCommission = parseFloat(current.commission) - parseFloat(current.reversed_commission);
+    const commissionDelta = fullyReversed || saleAmount === 0
+      ? openCommission
+      : Math.min(openCommission, roundMoney(parseFloat(current.commission) * refund / saleAmount));
+
+    const result = await client.query(
+      `UPDATE conversions SET refunded_amount = refunded_amount + $1, reversed_commission = reversed_commission + $2,
+        status = CASE WHEN $3 THEN 'reversed' ELSE status END,
+        reversed_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE reversed_at END
+       WHERE id = $4 RETURNING *`,
+      [roundMoney(refund), commissionDelta, fullyReversed, current.id]
+    );
+    await client.query(
+      'INSERT INTO conversion_adjustments (conversion_id, type, amount, commission, reason, external_id) VALUES ($1, $2, $3, $4, $5, $6)',
+      [current.id, type, roundMoney(refund), commissionDelta, reason || null, externalId || null]
+    );
+    await bumpConversionStats(client, current.id, { conversions: fullyReversed ? -1 : 0, amount: -roundMoney(refund), commission: -commissionDelta });
+    await emitConversionEvent(client, 'conversion.reversed', result.rows[0], { adjustment: { type, amount: roundMoney(refund), commission: commissionDelta } });
+    if (commissionDelta > 0) {
+      const owner = await client.query('SELECT user_id FROM affiliate_links WHERE id = $1', [current.link_id]);
+      await notify(client, owner.rows[0]?.user_id, 'commission.reversed', {
+        title: fullyReversed ? 'Provision storniert' : 'Provision teilweise storniert',
+        body: `${formatMoney(commissionDelta, current.currency)} wurden zurückgebucht${reason ? ` (${reason})` : ''}`,
+        link: '/dashboard',
+        data: { conversionId: current.id, type }
+      });
+    }
+    // Bereits gutgeschriebene Provision wird vom verfügbaren Guthaben zurückgebucht (kann negativ werden)
+    if (['approved', 'paid'].includes(current.status)) {
+      const owner = await client.query('SELECT user_id FROM affiliate_links WHERE id = $1', [current.link_id]);
+      await postLedger(client, {
+        type: 'reversal', userId: owner.rows[0]?.user_id, from: 'available', to: 'commissions', currency: current.payout_currency,
+        amount: payoutValue(current, commissionDelta), conversionId: current.id
+      });
+      await reverseReferralOverrides(client, current.id, commissionDelta, fullyReversed);
+    }
+    await client.query('COMMIT');
+    return { conversion: result.rows[0], duplicate: false };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const REVERSAL_TYPES = ['refund', 'chargeback'];
+
+// Alle Conversions einer Bestellung (bei Multi-Touch eine pro gutgeschriebenem Link); link_code grenzt ein.
+// Admins besitzen die Produkte ohne vendor_id.
+async function findOrderConversions({ orderId, linkCode, vendorId, isAdmin = false }) {
+  const result = await pool.query(
+    `SELECT c.* FROM conversions c JOIN affiliate_links al ON c.link_id = al.id JOIN products p ON al.product_id = p.id
+     WHERE c.order_id = $1 AND ($2::text IS NULL OR al.link_code = $2) AND (p.vendor_id = $3 OR ($4 AND p.vendor_id IS NULL))
+     ORDER BY c.id`,
+    [orderId, linkCode || null, vendorId, isAdmin]
+  );
+  if (result.rows.length === 0) return { status: 404, error: 'Conversion not found' };
+  return { conversions: result.rows };
+}
+
+// Verteilt eine (Teil-)Erstattung der Bestellung anteilig auf deren Conversions
+async function reverseOrder(conversions, { type, amount, reason, externalId }) {
+  const open = conversions.filter(c => c.status !== 'reversed');
+  if (open.length === 0) return { status: 409, error: 'Conversion already reversed' };
+
+  const total = open.reduce((sum, c) => sum + parseFloat(c.amount), 0);
+  const remaining = open.reduce((sum, c) => sum + parseFloat(c.amount) - parseFloat(c.refunded_amount), 0);
+  const partial = !(amount === undefined || amount === null || amount === '');
+  const refund = partial ? parseFloat(amount) : remaining;
+  if (isNaN(refund) || refund <= 0) return { status: 400, error: 'amount must be a positive number' };
+  if (refund > remaining + 0.001) return { status: 400, error: `amount exceeds refundable amount of ${remaining.toFixed(2)}` };
+
+  const reversed = [];
+  let allocated = 0;
+  let duplicate = true;
+  for (const [index, conversion] of open.entries()) {
+    let share;
+    if (!partial || refund >= remaining - 0.001) share = undefined;
+    else if (index === open.length - 1) share = roundMoney(refund - allocated);
+    else share = total > 0 ? roundMoney(refund * parseFloat(conversion.amount) / total) : 0;
+    if (share !== undefined) allocated += share;
+    if (share !== undefined && share <= 0) continue;
+
+    const result = await reverseConversion(conversion, { type, amount: share, reason, externalId });
+    if (result.error) return result;
+    if (!result.duplicate) duplicate = false;
+    reversed.push(result.conversion);
+  }
+  return { conversions: reversed, duplicate };
+}
+
+// ============================================
+// WEBHOOK - CONVERSION TRACKING
+// ============================================
+// Shops signieren '<timestamp>.<body>' per HMAC-SHA256 mit dem eigenen Partner-Secret
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+const WEBHOOK_SECRET_GRACE_HOURS = 24;
+
+const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const verifyWebhookSignature = async (req, res, next) => {
+  try {
+    const partnerId = parseInt(req.headers['x-alug-partner-id']);
+    const timestamp = parseInt(req.headers['x-alug-timestamp']);
+    const signature = req.headers['x-alug-signature'];
+    if (!partnerId || !timestamp || !signature) return res.status(401).json({ error: 'X-Alug-Partner-Id, X-Alug-Timestamp and X-Alug-Signature headers are required' });
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) return res.status(401).json({ error: 'Webhook timestamp outside tolerance' });
+
+    const result = await pool.query(
+      `SELECT id, is_admin, webhook_secret, webhook_secret_previous, webhook_secret_rotated_at FROM users
+       WHERE id = $1 AND (is_admin = TRUE OR (is_partner = TRUE AND partner_approved = TRUE))`,
+      [partnerId]
+    );
+    const partner = result.rows[0];
+    if (!partner || !partner.webhook_secret) return res.status(401).json({ error: 'Invalid webhook signature' });
+
+    const secrets = [partner.webhook_secret];
+    const graceEnd = partner.webhook_secret_rotated_at && new Date(partner.webhook_secret_rotated_at).getTime() + WEBHOOK_SECRET_GRACE_HOURS * 3600 * 1000;
+    if (partner.webhook_secret_previous && graceEnd > Date.now()) secrets.push(partner.webhook_secret_previous);
+
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    if (!secrets.some(secret => safeEqual(signWebhookPayload(secret, timestamp, body), signature))) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    // Jede Signatur nur einmal akzeptieren; gespeichert wird sie erst mit der Verarbeitung (claimWebhookNonce),
+    // damit ein Retry nach einem Fehler nicht als Wiederholung abgewiesen wird
+    const seen = await pool.query('SELECT 1 FROM webhook_nonces WHERE signature = $1', [signature]);
+    if (seen.rows.length > 0) return res.status(409).json({ error: 'Webhook already received' });
+
+    req.webhookPartner = { id: partner.id, isAdmin: partner.is_admin };
+    req.webhookNonce = signature;
+    next();
+  } catch (err) {
+    console.error('Webhook signature error:', err);
+    res.status(500).json({ error: 'Failed to verify webhook' });
+  }
+};
+
+// false, wenn die Signatur inzwischen (parallel) verarbeitet wurde
+async function claimWebhookNonce(db, signature) {
+  const result = await db.query('INSERT INTO webhook_nonces (signature) VALUES ($1) ON CONFLICT DO NOTHING RETURNING signature', [signature]);
+  return result.rows.length > 0;
+}
+
+scheduleJob(() => {
+  pool.query(`DELETE FROM webhook_nonces WHERE received_at < NOW() - make_interval(secs => $1)`, [WEBHOOK_TOLERANCE_SECONDS * 2])
+    .catch(err => console.error('❌ Webhook nonce cleanup error:', err));
+}, 60 * 60 * 1000);
+
+// Legt die Conversions einer Bestellung an (eine pro gutgeschriebenem Link);
+// eine bereits bekannte order_id liefert die ursprünglichen Conversions.
+// Betrag und Provision werden in der Verkaufswährung gespeichert (ohne Angabe: Währung des Produkts).
+// nonce (Webhook-Signatur) wird in derselben Transaktion wie die Conversions gespeichert.
+async function recordConversion({ partner, linkCode, amount, orderId, visitorId, currency, nonce }) {
+  if (!linkCode || amount === undefined || amount === null || amount === '' || !orderId) return { status: 400, error: 'link_code, amount and order_id are required' };
+  const saleAmount = parseFloat(amount);
+  if (isNaN(saleAmount) || saleAmount < 0) return { status: 400, error: 'amount must be a non-negative number' };
+
+  const findExisting = () => pool.query('SELECT * FROM conversions WHERE partner_id = $1 AND order_id = $2 ORDER BY id', [partner.id, String(orderId)]);
+  const existing = await findExisting();
+  if (existing.rows.length > 0) return { conversions: existing.rows, duplicate: true };
+
+  const linkResult = await pool.query(
+    `SELECT al.id, al.user_id, p.id as product_id, p.name as product_name, p.vendor_id, p.category, p.commission_type, p.commission_value, p.currency, p.attribution_days, p.attribution_model, p.hold_days
+     FROM affiliate_links al JOIN products p ON al.product_id = p.id
+     WHERE al.link_code = $1 AND (p.vendor_id = $2 OR ($3 AND p.vendor_id IS NULL))`,
+    [linkCode, partner.id, partner.isAdmin]
+  );
+  if (linkResult.rows.length === 0) return { status: 404, error: 'Link not found' };
+
+  const link = linkResult.rows[0];
+  const resolved = await resolveCurrency(currency, link.currency);
+  if (resolved.error) return { status: 400, error: resolved.error };
+  const saleCurrency = resolved.currency;
+  // Feste Provisionen und Boni sind in Produktwährung hinterlegt
+  const productRate = await exchangeRate(link.currency, saleCurrency);
+  const attributionDays = link.attribution_days || 30;
+  const touches = await findTouches({ link, visitorId, attributionDays });
+  if (touches.length === 0) return { status: 400, error: `No click found within ${attributionDays} day attribution window` };
+
+  const product = { id: link.product_id, vendor_id: link.vendor_id, category: link.category, commission_type: link.commission_type, commission_value: link.commission_value };
+  const credits = attributeTouches(touches, link.attribution_model);
+
+  const client = await pool.connect();
+  const inserted = [];
+  try {
+    await client.query('BEGIN');
+    if (nonce && !(await claimWebhookNonce(client, nonce))) {
+      await client.query('ROLLBACK');
+      return { status: 409, error: 'Webhook already received' };
+    }
+    let allocated = 0;
+    for (const [index, { touch, share }] of credits.entries()) {
+      // Rundungsrest geht an den letzten Link, damit die Summe dem Kaufbetrag entspricht
+      const shareAmount = index === credits.length - 1 ? roundMoney(saleAmount - allocated) : roundMoney(saleAmount * share);
+      allocated += shareAmount;
+      const evaluated = await evaluateCommission(product, touch.user_id, saleAmount / productRate);
+      const result = await client.query(
+        `INSERT INTO conversions (link_id, click_id, amount, commission, currency, attribution_share, order_id, partner_id, status, payable_at, commission_rule_id, bonus_rule_id, bonus_commission, campaign_id, ${SUB_IDS.join(', ')})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', CURRENT_TIMESTAMP + make_interval(days => $9), $10, $11, $12,
+           CASE WHEN $2::int IS NULL THEN (SELECT campaign_id FROM affiliate_links WHERE id = $1) ELSE (SELECT campaign_id FROM clicks WHERE id = $2) END,
+           ${SUB_IDS.map(sub => `(SELECT ${sub} FROM clicks WHERE id = $2)`).join(', ')})
+         ON CONFLICT (partner_id, order_id, link_id) DO NOTHING RETURNING *`,
+        [touch.link_id, touch.click_id, shareAmount, roundMoney(evaluated.commission * productRate * share), saleCurrency, share.toFixed(4), String(orderId), partner.id,
+          link.hold_days ?? 14, evaluated.commissionRuleId, evaluated.bonusRuleId, roundMoney(evaluated.bonus * productRate * share)]
+      );
+      if (result.rows.length === 0) continue;
+      const conversion = result.rows[0];
+      await bumpConversionStats(client, conversion.id, { conversions: 1, amount: shareAmount, commission: conversion.commission });
+      await emitConversionEvent(client, 'conversion.created', conversion);
+      await notify(client, touch.user_id, 'commission.earned', {
+        title: 'Neue Provision',
+        body: `${formatMoney(conversion.commission, conversion.currency)} für ${link.product_name} (wird nach der Haltefrist freigegeben)`,
+        link: '/dashboard',
+        data: { conversionId: conversion.id, productId: link.product_id }
+      });
+      inserted.push(conversion);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Parallele Zustellung derselben Bestellung
+  if (inserted.length === 0) return { conversions: (await findExisting()).rows, duplicate: true };
+  await screenConversions(inserted);
+  const total = inserted.reduce((sum, c) => sum + parseFloat(c.commission), 0);
+  console.log(`✅ Conversion: link_code=${linkCode}, order_id=${orderId}, amount=${saleAmount} ${saleCurrency}, commission=${total.toFixed(2)} ${saleCurrency}, links=${inserted.length}`);
+  return { conversions: inserted, duplicate: false };
+}
+
+const conversionSummary = (conversions) => ({
+  commission: conversions.reduce((sum, c) => sum + parseFloat(c.commission), 0).toFixed(2),
+  currency: conversions[0]?.currency,
+  conversions: conversions.map(c => ({ id: c.id, linkId: c.link_id, share: parseFloat(c.attribution_share), amount: c.amount, commission: c.commission, status: c.status, payableAt: c.payable_at }))
+});
+
+app.post('/api/webhook/conversion', verifyWebhookSignature, async (req, res) => {
+  try {
+    const { link_code, amount, order_id, visitor_id, currency } = req.body || {};
+    const result = await recordConversion({ partner: req.webhookPartner, linkCode: link_code, amount, orderId: order_id, visitorId: visitor_id, currency, nonce: req.webhookNonce });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({
+      success: true,
+      message: result.duplicate ? 'Conversion already tracked' : 'Conversion tracked',
+      duplicate: result.duplicate,
+      ...conversionSummary(result.conversions)
+    });
+  } catch (err) {
+    console.error('Webhook error:', err);
+    res.status(500).json({ error: 'Failed to track conversion' });
+  }
+});
+
+// Veraltet: frühere Danke-Seiten-Integration per GET (?secret=&link_code=&amount=&order_id=[&visitor_id=&currency=]).
+// Nur mit dem eigenen Partner-Secret; order_id ist Pflicht, damit doppelte Aufrufe erkannt werden.
+app.get('/api/webhook/conversion', async (req, res) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${BACKEND_URL}/api/partner/webhook-info>; rel="deprecation"`);
+  try {
+    const { secret, link_code, amount, order_id, visitor_id, currency } = req.query;
+    if (!secret) return res.status(401).json({ error: 'Invalid webhook secret' });
+
+    const own = await pool.query(
+      'SELECT id, is_admin FROM users WHERE webhook_secret = $1 AND (is_admin = TRUE OR (is_partner = TRUE AND partner_approved = TRUE))',
+      [String(secret)]
+    );
+    if (own.rows.length === 0) return res.status(401).json({ error: 'Invalid webhook secret' });
+    if (!order_id) return res.status(400).json({ error: 'order_id is required' });
+
+    const partner = { id: own.rows[0].id, isAdmin: own.rows[0].is_admin };
+    console.warn(`⚠️ Deprecated GET /api/webhook/conversion used by partner ${partner.id}`);
+    const result = await recordConversion({ partner, linkCode: link_code, amount, orderId: order_id, visitorId: visitor_id, currency });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({
+      success: true,
+      message: result.duplicate ? 'Conversion already tracked' : 'Conversion tracked',
+      duplicate: result.duplicate,
+      ...conversionSummary(result.conversions)
+    });
+  } catch (err) {
+    console.error('Webhook error:', err);
+    res.status(500).json({ error: 'Failed to track conversion' });
+  }
+});
+
+// amount in der Währung der Conversion
+app.post('/api/webhook/reversal', verifyWebhookSignature, async (req, res) => {
+  try {
+    const { order_id, link_code, amount, type, reason } = req.body || {};
+    if (!order_id) return res.status(400).json({ error: 'order_id is required' });
+    const reversalType = type || 'refund';
+    if (!REVERSAL_TYPES.includes(reversalType)) return res.status(400).json({ error: `type must be one of: ${REVERSAL_TYPES.join(', ')}` });
+
+    const found = await findOrderConversions({ orderId: String(order_id), linkCode: link_code, vendorId: req.webhookPartner.id, isAdmin: req.webhookPartner.isAdmin });
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    // Die Signatur dient als externe ID: ein Retry nach einem Fehler bucht bereits stornierte Conversions nicht erneut
+    const result = await reverseOrder(found.conversions, { type: reversalType, amount, reason, externalId: `webhook:${req.webhookNonce}` });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    await claimWebhookNonce(pool, req.webhookNonce);
+    console.log(`↩️ Reversal: order_id=${order_id}, type=${reversalType}, conversions=${result.conversions.length}`);
+    res.json({ success: true, conversions: result.conversions });
+  } catch (err) {
+    console.error('Reversal webhook error:', err);
+    res.status(500).json({ error: 'Failed to reverse conversion' });
+  }
+});
+
+// ============================================
+// WEBHOOK - SHOPIFY / WOOCOMMERCE
+// ============================================
+// Beide Plattformen signieren den Rohbody als Base64-HMAC-SHA256 mit dem hinterlegten Secret
+const verifyPlatformSignature = (platform, headerName) => async (req, res, next) => {
+  try {
+    const signature = req.headers[headerName];
+    if (!signature) return res.status(401).json({ error: `${headerName} header is required` });
+
+    const result = await pool.query(
+      `SELECT u.id, u.is_admin, pi.signing_secret FROM partner_integrations pi JOIN users u ON pi.partner_id = u.id
+       WHERE pi.partner_id = $1 AND pi.platform = $2 AND (u.is_admin = TRUE OR (u.is_partner = TRUE AND u.partner_approved = TRUE))`,
+      [parseInt(req.params.partnerId) || 0, platform]
+    );
+    const integration = result.rows[0];
+    if (!integration) return res.status(401).json({ error: 'Invalid webhook signature' });
+
+    const expected = crypto.createHmac('sha256', integration.signing_secret).update(req.rawBody || Buffer.alloc(0)).digest('base64');
+    if (!safeEqual(expected, signature)) return res.status(401).json({ error: 'Invalid webhook signature' });
+
+    req.webhookPartner = { id: integration.id, isAdmin: integration.is_admin };
+    next();
+  } catch (err) {
+    console.error(`${platform} signature error:`, err);
+    res.status(500).json({ error: 'Failed to verify webhook' });
+  }
+};
+
+const findAttribute = (list, names, keyField, valueField) => {
+  const entry = (Array.isArray(list) ? list : []).find(item => item && names.includes(item[keyField]));
+  return entry && entry[valueField] ? String(entry[valueField]) : null;
+};
+
+const alugCodeFromUrl = (url) => {
+  if (!url) return null;
+  try {
+    return new URL(url, 'https://shop.invalid').searchParams.get('alug_code');
+  } catch (err) {
+    return null;
+  }
+};
+
+const alugVisitorFromUrl = (url) => {
+  if (!url) return null;
+  try {
+    return new URL(url, 'https://shop.invalid').searchParams.get('alug_vid');
+  } catch (err) {
+    return null;
+  }
+};
+
+const shopifyAlugCode = (order) =>
+  findAttribute(order.note_attributes, ['alug_code', '_alug_code'], 'name', 'value') || alugCodeFromUrl(order.landing_site);
+
+const shopifyVisitorId = (order) =>
+  findAttribute(order.note_attributes, ['alug_vid', '_alug_vid'], 'name', 'value') || alugVisitorFromUrl(order.landing_site);
+
+const wooAlugCode = (order) =>
+  findAttribute(order.meta_data, ['alug_code', '_alug_code'], 'key', 'value');
+
+const wooVisitorId = (order) =>
+  findAttribute(order.meta_data, ['alug_vid', '_alug_vid'], 'key', 'value');
+
+// Provision auf den Warenwert ohne Versand und Steuern
+const shopifyOrderAmount = (order) => parseFloat(order.current_subtotal_price ?? order.subtotal_price ?? order.total_price);
+
+const wooOrderAmount = (order) =>
+  Math.max(0, parseFloat(order.total || 0) - parseFloat(order.total_tax || 0) - parseFloat(order.shipping_total || 0));
+
+const shopifyRefundAmount = (refund) => {
+  const lineItems = (refund.refund_line_items || []).reduce((sum, item) => sum + parseFloat(item.subtotal || 0), 0);
+  if (lineItems > 0) return lineItems;
+  return (refund.transactions || [])
+    .filter(t => t.kind === 'refund' && t.status === 'success')
+    .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
+};
+
+// Fachliche Fehler (Link unbekannt, kein Klick) mit 200 quittieren, sonst wiederholen die Shops endlos
+const ignoreDelivery = (res, reason) => res.json({ success: true, ignored: reason });
+
+async function handleShopOrder(res, partner, { linkCode, amount, orderId, visitorId, currency }) {
+  if (!linkCode) return ignoreDelivery(res, 'No alug_code on order');
+  const result = await recordConversion({ partner, linkCode, amount, orderId, visitorId, currency });
+  if (result.error) return ignoreDelivery(res, result.error);
+  res.json({ success: true, duplicate: result.duplicate, ...conversionSummary(result.conversions) });
+}
+
+async function handleShopRefund(res, partner, { orderId, amount, externalId, reason }) {
+  const found = await findOrderConversions({ orderId, vendorId: partner.id, isAdmin: partner.isAdmin });
+  if (found.error) return ignoreDelivery(res, found.error);
+
+  // Erstattungen über den Restbetrag hinaus (z.B. inkl. Versand) gelten als Komplettstorno
+  const remaining = found.conversions
+    .filter(c => c.status !== 'reversed')
+    .reduce((sum, c) => sum + parseFloat(c.amount) - parseFloat(c.refunded_amount), 0);
+  const refundAmount = amount === undefined || amount >= remaining ? undefined : amount;
+  if (refundAmount !== undefined && refundAmount <= 0) return ignoreDelivery(res, 'Refund does not affect commissionable amount');
+
+  const result = await reverseOrder(found.conversions, { type: 'refund', amount: refundAmount, reason, externalId });
+  if (result.error) return ignoreDelivery(res, result.error);
+  res.json({ success: true, duplicate: result.duplicate, conversions: result.conversions.map(c => ({ id: c.id, status: c.status })) });
+}
+
+app.post('/api/webhook/shopify/:partnerId', verifyPlatformSignature('shopify', 'x-shopify-hmac-sha256'), async (req, res) => {
+  try {
+    const topic = req.headers['x-shopify-topic'];
+    const payload = req.body || {};
+    if (topic === 'orders/create') {
+      return await handleShopOrder(res, req.webhookPartner, {
+        linkCode: shopifyAlugCode(payload),
+        visitorId: shopifyVisitorId(payload),
+        amount: shopifyOrderAmount(payload),
+        currency: payload.currency,
+        orderId: payload.id
+      });
+    }
+    if (topic === 'refunds/create') {
+      return await handleShopRefund(res, req.webhookPartner, {
+        orderId: String(payload.order_id),
+        amount: shopifyRefundAmount(payload),
+        externalId: `shopify:${payload.id}`,
+        reason: payload.note || 'Shopify refund'
+      });
+    }
+    ignoreDelivery(res, `Unsupported topic ${topic}`);
+  } catch (err) {
+    console.error('Shopify webhook error:', err);
+    res.status(500).json({ error: 'Failed to process Shopify webhook' });
+  }
+});
+
+app.post('/api/webhook/woocommerce/:partnerId', async (req, res, next) => {
+  // WooCommerce schickt beim Anlegen des Webhooks einen unsignierten Ping
+  if (!req.headers['x-wc-webhook-signature'] && req.body && req.body.webhook_id) return res.json({ success: true });
+  next();
+}, verifyPlatformSignature('woocommerce', 'x-wc-webhook-signature'), async (req, res) => {
+  try {
+    const topic = req.headers['x-wc-webhook-topic'];
+    const payload = req.body || {};
+    if (topic === 'order.created') {
+      return await handleShopOrder(res, req.webhookPartner, {
+        linkCode: wooAlugCode(payload),
+        visitorId: wooVisitorId(payload),
+        amount: wooOrderAmount(payload),
+        currency: payload.currency,
+        orderId: payload.id
+      });
+    }
+    if (topic === 'order.updated' && payload.status === 'refunded') {
+      return await handleShopRefund(res, req.webhookPartner, {
+        orderId: String(payload.id),
+        externalId: `woocommerce:${payload.id}:refunded`,
+        reason: 'WooCommerce order refunded'
+      });
+    }
+    ignoreDelivery(res, `Unsupported topic ${topic}`);
+  } catch (err) {
+    console.error('WooCommerce webhook error:', err);
+    res.status(500).json({ error: 'Failed to process WooCommerce webhook' });
+  }
+});
+
+// ============================================
+// AFFILIATE LINK ROUTES
+// ============================================
+// Codes sind standardmäßig zufällig und nicht erratbar; alternativ wählt der Marketer einen eigenen Slug.
+// Sub-IDs am Tracking-Link (?sub1=...&sub5=...) werden mit dem Klick gespeichert und an die Conversion weitergereicht.
+const SUB_IDS = ['sub1', 'sub2', 'sub3', 'sub4', 'sub5'];
+const LINK_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/;
+const DOMAIN_PATTERN = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,63}$/;
+const QR_FORMATS = ['png', 'svg'];
+
+const generateLinkCode = () => crypto.randomBytes(9).toString('base64url');
+
+const withLinkUrls = (link) => ({
+  ...link,
+  tracking_url: `${BACKEND_URL}/aff/${encodeURIComponent(link.link_code)}`,
+  qr_url: `${BACKEND_URL}/api/affiliate/links/${link.id}/qr`
+});
+
+const normalizeDomain = (value) => String(value || '').trim().toLowerCase()
+  .replace(/^[a-z]+:\/\//, '').replace(/[/?#:].*$/, '').replace(/^www\./, '');
+
+const urlDomain = (url) => {
+  try {
+    return normalizeDomain(new URL(url).hostname);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Deep Links nur auf die Domain der Produkt-URL oder vom Partner freigegebene Domains, jeweils inkl. Subdomains
+function isAllowedDeepLink(url, product) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (err) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) return false;
+  const host = target.hostname.toLowerCase();
+  const domains = [urlDomain(product.product_url), ...(product.allowed_domains || [])].filter(Boolean);
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Gibt { values } (Spaltennamen) zurück oder { error }
+function parseLinkOptions(body, product) {
+  const label = body.label === undefined || body.label === null ? null : String(body.label).trim().slice(0, 100) || null;
+  const deepLink = body.deepLink === undefined || body.deepLink === null ? '' : String(body.deepLink).trim();
+  if (deepLink && !isAllowedDeepLink(deepLink, product)) return { error: 'deepLink must point to a page on the vendor\'s allowed domains' };
+  return { values: { label, destination_url: deepLink || null } };
+}
+
+const findLinkProduct = async (productId) => (await pool.query(
+  'SELECT p.id, p.product_url, u.allowed_domains FROM products p LEFT JOIN users u ON p.vendor_id = u.id WHERE p.id = $1',
+  [productId]
+)).rows[0];
+
+// Ohne Slug, Label und Deep Link wird wie bisher der Standardlink des Produkts geliefert bzw. angelegt
+app.post('/api/affiliate/generate', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { productId, slug } = req.body;
+    const userId = req.user.userId;
+    if (!/^\d+$/.test(String(productId ?? ''))) return res.status(400).json({ error: 'productId is required' });
+    const product = await findLinkProduct(productId);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (await isBlockedForProduct(userId, productId)) return res.status(403).json({ error: 'The partner does not allow you to promote this product', code: 'affiliate_blocked' });
+    const options = parseLinkOptions(req.body, product);
+    if (options.error) return res.status(400).json({ error: options.error });
+    const campaign = await parseLinkCampaign(req.body, userId);
+    if (campaign.error) return res.status(400).json({ error: campaign.error });
+    const campaignId = campaign.values.campaign_id ?? null;
+
+    if (!slug && !options.values.label && !options.values.destination_url && !campaignId) {
+      const existing = await pool.query(
+        'SELECT * FROM affiliate_links WHERE user_id = $1 AND product_id = $2 AND label IS NULL AND destination_url IS NULL AND campaign_id IS NULL ORDER BY id LIMIT 1',
+        [userId, productId]
+      );
+      if (existing.rows.length > 0) return res.json({ link: withLinkUrls(existing.rows[0]) });
+    }
+
+    const linkCode = slug ? String(slug).trim().toLowerCase() : generateLinkCode();
+    if (slug && !LINK_SLUG_PATTERN.test(linkCode)) return res.status(400).json({ error: 'slug must be 3-50 characters: lowercase letters, digits and hyphens' });
+    const result = await pool.query(
+      'INSERT INTO affiliate_links (user_id, product_id, link_code, label, destination_url, campaign_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [userId, productId, linkCode, options.values.label, options.values.destination_url, campaignId]
+    );
+    res.status(201).json({ link: withLinkUrls(result.rows[0]) });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'This slug is already taken' });
+    res.status(500).json({ error: 'Failed to generate affiliate link' });
+  }
+});
+
+// Label, Deep Link und Kampagne änderbar; der Code bleibt, damit verteilte Links und QR-Codes gültig bleiben
+app.put('/api/affiliate/links/:id', authenticateToken, async (req, res) => {
+  try {
+    const link = await pool.query('SELECT * FROM affiliate_links WHERE id = $1 AND user_id = $2', [req.params.id, req.user.userId]);
+    if (link.rows.length === 0) return res.status(404).json({ error: 'Link not found' });
+    const options = parseLinkOptions(req.body, await findLinkProduct(link.rows[0].product_id));
+    if (options.error) return res.status(400).json({ error: options.error });
+    const campaign = await parseLinkCampaign(req.body, req.user.userId);
+    if (campaign.error) return res.status(400).json({ error: campaign.error });
+    const result = await pool.query(
+      'UPDATE affiliate_links SET label = $1, destination_url = $2, campaign_id = $3 WHERE id = $4 RETURNING *',
+      [options.values.label, options.values.destination_url, campaign.values.campaign_id === undefined ? link.rows[0].campaign_id : campaign.values.campaign_id, req.params.id]
+    );
+    res.json(withLinkUrls(result.rows[0]));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update affiliate link' });
+  }
+});
+
+// ?format=png|svg, ?size in Pixeln (100-1000); Sub-IDs aus der Anfrage werden in den kodierten Link übernommen
+app.get('/api/affiliate/links/:id/qr', authenticateToken, async (req, res) => {
+  try {
+    const format = req.query.format || 'png';
+    if (!QR_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${QR_FORMATS.join(', ')}` });
+    const size = Math.min(Math.max(parseInt(req.query.size) || 300, 100), 1000);
+    const result = await pool.query('SELECT * FROM affiliate_links WHERE id = $1 AND user_id = $2', [req.params.id, req.user.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Link not found' });
+
+    const url = new URL(withLinkUrls(result.rows[0]).tracking_url);
+    for (const sub of SUB_IDS) if (req.query[sub]) url.searchParams.set(sub, String(req.query[sub]).slice(0, 100));
+    const options = { width: size, margin: 2, errorCorrectionLevel: 'M' };
+    res.setHeader('Content-Disposition', `inline; filename="alug-link-${result.rows[0].id}.${format}"`);
+    if (format === 'svg') res.type('image/svg+xml').send(await QRCode.toString(url.toString(), { ...options, type: 'svg' }));
+    else res.type('image/png').send(await QRCode.toBuffer(url.toString(), { ...options, type: 'png' }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+app.get('/api/affiliate/my-links', authenticateToken, async (req, res) => {
+  try {
+    const reporting = await resolveCurrency(req.query.currency, await payoutCurrencyOf(req.user.userId));
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
+    const result = await pool.query(
+      `SELECT al.*, p.name as product_name, p.image_url, p.thumbnail_url, p.price, p.currency as product_currency, cp.name as campaign_name,
+              stats.clicks, stats.conversions, stats.revenue,
+              EXISTS (SELECT 1 FROM partner_affiliate_blocks b WHERE b.partner_id = p.vendor_id AND b.affiliate_id = al.user_id) as blocked
+       FROM affiliate_links al JOIN products p ON al.product_id = p.id LEFT JOIN campaigns cp ON al.campaign_id = cp.id
+       CROSS JOIN LATERAL (
+         SELECT COALESCE(SUM(s.clicks), 0) as clicks, COALESCE(SUM(s.conversions), 0) as conversions, ${statsSumSql('commission', '$2')} as revenue
+         FROM stats_daily s WHERE s.link_id = al.id
+       ) stats
+       WHERE al.user_id = $1 ORDER BY al.created_at DESC`,
+      [req.user.userId, reporting.currency]
+    );
+    res.json(result.rows.map(row => ({ ...withLinkUrls(row), currency: reporting.currency })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch affiliate links' });
+  }
+});
+
+// ============================================
+// CAMPAIGNS & UTM TAGGING
+// ============================================
+// Marketer bündeln ihre Links in Kampagnen. Beim Redirect werden UTM-Parameter an die Ziel-URL gehängt:
+// Plattform-Standard, darüber die Werte der Kampagne, darüber die Vorlage des Partners für das Produkt.
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term'];
+const CAMPAIGN_UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign'];
+const UTM_PLACEHOLDERS = ['campaign', 'campaign_id', 'affiliate_id', 'product_id', 'link_code', ...SUB_IDS];
+const DEFAULT_UTM_TEMPLATE = { utm_source: 'alug', utm_medium: 'affiliate', utm_campaign: '{campaign}' };
+
+// utm_source -> utmSource
+const utmBodyKey = (param) => param.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+const campaignSlug = (name) => String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/ß/g, 'ss').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Gibt { values } zurück oder { error }; ein leerer Wert bedeutet, dass der Parameter nicht gesetzt wird
+function parseUtmTemplate(body, params) {
+  const values = {};
+  for (const param of params) {
+    const key = utmBodyKey(param);
+    if (body[key] === undefined) continue;
+    const template = body[key] === null ? '' : String(body[key]).trim();
+    if (template.length > 100) return { error: `${key} must be at most 100 characters` };
+    const unknown = [...template.matchAll(/\{(\w*)\}/g)].map(match => match[1]).find(name => !UTM_PLACEHOLDERS.includes(name));
+    if (unknown !== undefined) return { error: `Unknown placeholder {${unknown}} in ${key}; allowed: ${UTM_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}` };
+    values[param] = template;
+  }
+  return { values };
+}
+
+// link: Zeile aus dem Redirect (Link, Kampagne, UTM-Vorlage des Produkts)
+function utmParams(link, subIds) {
+  const template = { ...DEFAULT_UTM_TEMPLATE };
+  for (const param of CAMPAIGN_UTM_PARAMS) if (link[`campaign_${param}`]) template[param] = link[`campaign_${param}`];
+  Object.assign(template, link.utm_template || {});
+
+  const values = {
+    campaign: campaignSlug(link.campaign_name),
+    campaign_id: link.campaign_id ?? '',
+    affiliate_id: link.user_id,
+    product_id: link.product_id,
+    link_code: link.link_code,
+    ...Object.fromEntries(SUB_IDS.map((sub, index) => [sub, subIds[index] || '']))
+  };
+  return UTM_PARAMS
+    .map(param => [param, String(template[param] || '').replace(/\{(\w+)\}/g, (match, name) => values[name] ?? '').trim()])
+    .filter(([, value]) => value);
+}
+
+// UTM-Parameter, die die Ziel-URL (z.B. ein Deep Link) schon mitbringt, bleiben erhalten
+function buildRedirectUrl(destination, utm, tracking) {
+  try {
+    const url = new URL(destination);
+    for (const [name, value] of utm) if (!url.searchParams.has(name)) url.searchParams.set(name, value);
+    for (const [name, value] of tracking) url.searchParams.set(name, value);
+    return url.toString();
+  } catch (err) {
+    // Alte Produkt-URLs ohne Schema: Parameter wie bisher anhängen
+    const separator = destination.includes('?') ? '&' : '?';
+    return `${destination}${separator}${new URLSearchParams([...utm, ...tracking])}`;
+  }
+}
+
+// Gibt { values } zurück oder { error }; fehlt campaignId, bleibt die Zuordnung unverändert, null entfernt sie
+async function parseLinkCampaign(body, userId) {
+  if (body.campaignId === undefined) return { values: {} };
+  if (body.campaignId === null || body.campaignId === '') return { values: { campaign_id: null } };
+  if (!/^\d+$/.test(String(body.campaignId))) return { error: 'campaignId must be a campaign id' };
+  const found = await pool.query('SELECT id FROM campaigns WHERE id = $1 AND user_id = $2', [body.campaignId, userId]);
+  if (found.rows.length === 0) return { error: 'Campaign not found' };
+  return { values: { campaign_id: found.rows[0].id } };
+}
+
+// Gibt { values } zurück oder { error }
+function parseCampaign(body) {
+  const name = String(body.name ?? '').trim();
+  if (!name || name.length > 100) return { error: 'name is required (max. 100 characters)' };
+  const utm = parseUtmTemplate(body, CAMPAIGN_UTM_PARAMS);
+  if (utm.error) return utm;
+  return { values: { name, ...Object.fromEntries(CAMPAIGN_UTM_PARAMS.map(param => [param, utm.values[param] || null])) } };
+}
+
+const withCampaignPreview = (campaign) => ({
+  ...campaign,
+  utm_preview: Object.fromEntries(utmParams({
+    campaign_id: campaign.id, campaign_name: campaign.name, user_id: campaign.user_id, product_id: '', link_code: '',
+    ...Object.fromEntries(CAMPAIGN_UTM_PARAMS.map(param => [`campaign_${param}`, campaign[param]]))
+  }, []))
+});
+
+app.get('/api/affiliate/campaigns', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT cp.*, COUNT(al.id)::int as link_count
+       FROM campaigns cp LEFT JOIN affiliate_links al ON al.campaign_id = cp.id
+       WHERE cp.user_id = $1 GROUP BY cp.id ORDER BY cp.created_at DESC`,
+      [req.user.userId]
+    );
+    res.json(result.rows.map(withCampaignPreview));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+app.post('/api/affiliate/campaigns', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  const parsed = parseCampaign(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const { name, utm_source, utm_medium, utm_campaign } = parsed.values;
+    const result = await pool.query(
+      'INSERT INTO campaigns (user_id, name, utm_source, utm_medium, utm_campaign) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [req.user.userId, name, utm_source, utm_medium, utm_campaign]
+    );
+    res.status(201).json(withCampaignPreview({ ...result.rows[0], link_count: 0 }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+app.put('/api/affiliate/campaigns/:id', authenticateToken, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+  const parsed = parseCampaign(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const { name, utm_source, utm_medium, utm_campaign } = parsed.values;
+    const result = await pool.query(
+      `UPDATE campaigns SET name = $1, utm_source = $2, utm_medium = $3, utm_campaign = $4 WHERE id = $5 AND user_id = $6
+       RETURNING *, (SELECT COUNT(*)::int FROM affiliate_links WHERE campaign_id = campaigns.id) as link_count`,
+      [name, utm_source, utm_medium, utm_campaign, req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+    res.json(withCampaignPreview(result.rows[0]));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update campaign' });
+  }
+});
+
+// Die Links der Kampagne bleiben bestehen und verlieren nur die Zuordnung
+app.delete('/api/affiliate/campaigns/:id', authenticateToken, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+  try {
+    const result = await pool.query('DELETE FROM campaigns WHERE id = $1 AND user_id = $2 RETURNING id', [req.params.id, req.user.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete campaign' });
+  }
+});
+
+// ============================================
+// DAILY STATS ROLLUP
+// ============================================
+// Zähler je Link und Tag für Dashboards und Ranglisten: gültige Klicks, nicht stornierte Conversions,
+// Umsatz und Provision netto nach Erstattungen. Beträge in EUR zum Kurs des Conversion-Tages.
+// Klicks, Conversions und Stornos schreiben die Zähler direkt fort; rebuildDailyStats baut sie aus den Rohdaten neu auf.
+// Fortschreibungen halten eine geteilte Advisory-Sperre auf ihren Tag (alug_stats_lock), der Neuaufbau eine exklusive.
+const STATS_LOCK_KEY = 7823;
+const STATS_REBUILD_CHUNK_DAYS = 7;
+
+// SQL-Ausdruck für Berichte: Summe einer Rollup-Spalte in der Zielwährung
+const statsSumSql = (column, target, alias = 's') =>
+  `COALESCE(ROUND(SUM(alug_convert(${alias}.${column}, '${BASE_CURRENCY}', ${target}, ${alias}.day)), 2), 0)`;
+
+// Änderung einer Conversion (Betrag in deren Währung) auf ihren Tag buchen; läuft in der Transaktion des Aufrufers
+async function bumpConversionStats(db, conversionId, { conversions = 0, amount = 0, commission = 0 }) {
+  await db.query(
+    `INSERT INTO stats_daily (link_id, day, conversions, amount, commission)
+     SELECT link_id, converted_at::date, $2, ROUND($3 / alug_rate(currency, converted_at::date), 4), ROUND($4 / alug_rate(currency, converted_at::date), 4)
+     FROM conversions WHERE id = $1 AND link_id IS NOT NULL AND alug_stats_lock(converted_at::date)
+     ON CONFLICT (link_id, day) DO UPDATE SET conversions = stats_daily.conversions + EXCLUDED.conversions,
+       amount = stats_daily.amount + EXCLUDED.amount, commission = stats_daily.commission + EXCLUDED.commission`,
+    [conversionId, conversions, amount, commission]
+  );
+}
+
+// Ab from (YYYY-MM-DD) bzw. komplett neu aufbauen, z.B. nach nachträglich gepflegten Wechselkursen.
+// Jeder Abschnitt von STATS_REBUILD_CHUNK_DAYS Tagen läuft in einer eigenen Transaktion unter exklusiver Sperre seiner Tage:
+// laufende Fortschreibungen werden abgewartet, spätere setzen auf dem neu berechneten Stand auf.
+async function rebuildDailyStats(from = null) {
+  const range = await pool.query(
+    `SELECT to_char(COALESCE($1::date, LEAST(
+        (SELECT MIN(clicked_at)::date FROM clicks), (SELECT MIN(converted_at)::date FROM conversions), (SELECT MIN(day) FROM stats_daily)
+      )), 'YYYY-MM-DD') as first_day,
+      to_char(GREATEST(CURRENT_DATE, (SELECT MAX(day) FROM stats_daily), (SELECT MAX(converted_at)::date FROM conversions)), 'YYYY-MM-DD') as last_day`,
+    [from]
+  );
+  const { first_day: firstDay, last_day: lastDay } = range.rows[0];
+  if (!firstDay) return 0;
+
+  let rows = 0;
+  for (let chunkStart = firstDay; chunkStart <= lastDay;) {
+    const next = new Date(Date.parse(chunkStart) + STATS_REBUILD_CHUNK_DAYS * 86400000).toISOString().slice(0, 10);
+    const chunkEnd = new Date(Date.parse(next) - 86400000).toISOString().slice(0, 10);
+    rows += await rebuildStatsChunk(chunkStart, chunkEnd < lastDay ? chunkEnd : lastDay);
+    chunkStart = next;
+  }
+  return rows;
+}
+
+async function rebuildStatsChunk(from, to) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Sperren in aufsteigender Reihenfolge; die folgenden Statements sehen danach alle abgeschlossenen Fortschreibungen
+    await client.query(
+      `SELECT pg_advisory_xact_lock($1, d::date - DATE '2000-01-01') FROM generate_series($2::date, $3::date, INTERVAL '1 day') d`,
+      [STATS_LOCK_KEY, from, to]
+    );
+    await client.query('DELETE FROM stats_daily WHERE day BETWEEN $1::date AND $2::date', [from, to]);
+    const result = await client.query(
+      `INSERT INTO stats_daily (link_id, day, clicks, conversions, amount, commission)
+       SELECT link_id, day, SUM(clicks), SUM(conversions), SUM(amount), SUM(commission) FROM (
+         SELECT link_id, clicked_at::date as day, COUNT(*) as clicks, 0 as conversions, 0 as amount, 0 as commission
+         FROM clicks WHERE flag IS NULL AND clicked_at >= $1::date AND clicked_at < $2::date + 1
+         GROUP BY 1, 2
+         UNION ALL
+         SELECT link_id, converted_at::date, 0, COUNT(*) FILTER (WHERE status <> 'reversed'),
+           SUM(ROUND((COALESCE(amount, 0) - refunded_amount) / alug_rate(currency, converted_at::date), 4)),
+           SUM(ROUND((COALESCE(commission, 0) - reversed_commission) / alug_rate(currency, converted_at::date), 4))
+         FROM conversions WHERE converted_at >= $1::date AND converted_at < $2::date + 1
+         GROUP BY 1, 2
+       ) rows
+       WHERE link_id IS NOT NULL GROUP BY link_id, day`,
+      [from, to]
+    );
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Neuaufbauten laufen nacheinander im Hintergrund
+let statsRebuildQueue = Promise.resolve();
+function scheduleStatsRebuild(from) {
+  statsRebuildQueue = statsRebuildQueue
+    .then(() => rebuildDailyStats(from))
+    .then(rows => console.log(`✅ Daily stats rebuilt from ${from}: ${rows} rows`))
+    .catch(err => console.error('❌ Daily stats rebuild error:', err));
+}
+
+// ============================================
+// ANALYTICS ROUTES
+// ============================================
+app.get('/api/analytics/my-stats', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reporting = await resolveCurrency(req.query.currency, await payoutCurrencyOf(userId));
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
+    const stats = await pool.query(
+      `SELECT ${statsSumSql('commission', '$2')} as total_earnings,
+        COALESCE(SUM(s.clicks), 0) as total_clicks,
+        COALESCE(SUM(s.conversions), 0) as total_conversions,
+        (SELECT COUNT(*) FROM affiliate_links WHERE user_id = $1) as active_links
+       FROM stats_daily s JOIN affiliate_links al ON s.link_id = al.id WHERE al.user_id = $1`,
+      [userId, reporting.currency]
+    );
+    res.json({ ...stats.rows[0], currency: reporting.currency });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch stats' });
   }
 });
 
-app.delete('/api/products/:id', authenticateToken, isAdmin, async (req, res) => {
+// Zeitraum from..to (inklusive, UTC) in Zeitscheiben; Wochen beginnen montags, Rand-Scheiben sind ggf. angeschnitten
+const ANALYTICS_GRANULARITIES = {
+  hour: { days: 1 / 24, format: 'YYYY-MM-DD"T"HH24:00' },
+  day: { days: 1, format: 'YYYY-MM-DD' },
+  week: { days: 7, format: 'YYYY-MM-DD' },
+  month: { days: 28, format: 'YYYY-MM' }
+};
+const ANALYTICS_MAX_BUCKETS = 2000;
+// Obergrenze für Zeitscheiben × Gruppen, da jede Gruppe in jeder Scheibe eine Zeile erhält
+const ANALYTICS_MAX_ROWS = 20000;
+const ANALYTICS_DEFAULT_DAYS = 30;
+
+// Gruppierungen und ihre Ausgabespalten; Herkunft, Gerät und Land einer Conversion stammen vom zugeordneten Klick
+const ANALYTICS_DIMENSIONS = {
+  product: { product_id: 'p.id', product_name: 'p.name' },
+  link: { link_id: 'al.id', link_code: 'al.link_code' },
+  campaign: { campaign_id: 'cp.id', campaign_name: 'cp.name' },
+  referrer: { referrer: "COALESCE(cl.referrer, 'direct')" },
+  device: { device_type: "COALESCE(cl.device_type, 'unknown')" },
+  browser: { browser: "COALESCE(cl.browser, 'unknown')" },
+  country: { country: "COALESCE(cl.country::text, 'unknown')" },
+  ...Object.fromEntries(SUB_IDS.map(sub => [sub, { [sub]: `cl.${sub}` }]))
+};
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Gibt { values } zurück oder { error }
+function parseAnalyticsQuery(query) {
+  const granularity = query.granularity || 'day';
+  if (!ANALYTICS_GRANULARITIES[granularity]) return { error: `granularity must be one of: ${Object.keys(ANALYTICS_GRANULARITIES).join(', ')}` };
+
+  for (const key of ['from', 'to']) {
+    if (query[key] && (!/^\d{4}-\d{2}-\d{2}$/.test(query[key]) || isNaN(Date.parse(query[key])))) return { error: `${key} must be a date (YYYY-MM-DD)` };
+  }
+  const to = query.to || isoDate(new Date());
+  const from = query.from || isoDate(new Date(Date.parse(to) - (ANALYTICS_DEFAULT_DAYS - 1) * 86400000));
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (days < 1) return { error: 'from must not be after to' };
+  if (days / ANALYTICS_GRANULARITIES[granularity].days > ANALYTICS_MAX_BUCKETS) return { error: `Date range too large for granularity ${granularity}` };
+
+  const dimensions = [...new Set(String(query.groupBy || '').split(',').map(value => value.trim()).filter(Boolean))];
+  const unknown = dimensions.filter(dimension => !ANALYTICS_DIMENSIONS[dimension]);
+  if (unknown.length > 0) return { error: `Unknown groupBy ${unknown.join(', ')}; allowed: ${Object.keys(ANALYTICS_DIMENSIONS).join(', ')}` };
+
+  return { values: { from, to, granularity, dimensions } };
+}
+
+const analyticsMetrics = (row) => {
+  const clicks = parseInt(row.clicks);
+  const conversions = parseInt(row.conversions);
+  const commission = roundMoney(parseFloat(row.commission));
+  return {
+    clicks,
+    ...(row.unique_clicks !== undefined && { unique_clicks: parseInt(row.unique_clicks) }),
+    conversions,
+    conversion_rate: clicks > 0 ? Math.round(conversions / clicks * 10000) / 10000 : 0,
+    commission,
+    epc: clicks > 0 ? Math.round(commission / clicks * 10000) / 10000 : 0
+  };
+};
+
+// Klicks und Conversions eines Affiliates je Zeitscheibe und Gruppierung; Scheiben ohne Aktivität werden mit 0 aufgefüllt.
+// Liest die Rohdaten (Klickmerkmale, eindeutige Besucher); stornierte Conversions zählen wie im Rollup nicht,
+// Provisionen netto nach Erstattungen in der Berichtswährung zum Kurs des Conversion-Tages.
+// Gibt { error } zurück, wenn die Gruppierung zu viele Zeilen ergäbe.
+async function analyticsReport({ userId, from, to, granularity, dimensions, currency }) {
+  const bucketCount = Math.ceil(((Date.parse(to) - Date.parse(from)) / 86400000 + 1) / ANALYTICS_GRANULARITIES[granularity].days);
+  const maxKeys = Math.max(Math.floor(ANALYTICS_MAX_ROWS / bucketCount), 1);
+  const columns = dimensions.flatMap(dimension => Object.entries(ANALYTICS_DIMENSIONS[dimension]));
+  const names = columns.map(([name]) => name);
+  const selectDimensions = columns.map(([name, expression]) => `, ${expression} as ${name}`).join('');
+  const groupBy = ['1', ...names.map((name, index) => String(index + 2))].join(', ');
+  const matches = (alias) => names.map(name => ` AND ${alias}.${name} IS NOT DISTINCT FROM k.${name}`).join('');
+
+  const result = await pool.query(
+    `WITH buckets AS (
+       SELECT generate_series(date_trunc($2, $3::timestamp), $4::timestamp + INTERVAL '23 hours', ('1 ' || $2)::interval) as bucket
+     ),
+     click_rows AS (
+       SELECT date_trunc($2, cl.clicked_at) as bucket${selectDimensions},
+         COUNT(*) as clicks, COUNT(DISTINCT COALESCE(cl.visitor_id, cl.ip_address)) as unique_clicks
+       FROM clicks cl JOIN affiliate_links al ON cl.link_id = al.id JOIN products p ON al.product_id = p.id
+       LEFT JOIN campaigns cp ON cl.campaign_id = cp.id
+       WHERE al.user_id = $1 AND cl.flag IS NULL AND cl.clicked_at >= $3::date AND cl.clicked_at < $4::date + 1
+       GROUP BY ${groupBy}
+     ),
+     conversion_rows AS (
+       SELECT date_trunc($2, c.converted_at) as bucket${selectDimensions},
+         COUNT(*) FILTER (WHERE c.status <> 'reversed') as conversions,
+         SUM(${convertedSql('c.commission - c.reversed_commission', '$5')}) as commission
+       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id JOIN products p ON al.product_id = p.id
+       LEFT JOIN campaigns cp ON c.campaign_id = cp.id LEFT JOIN clicks cl ON c.click_id = cl.id
+       WHERE al.user_id = $1 AND c.converted_at >= $3::date AND c.converted_at < $4::date + 1
+       GROUP BY ${groupBy}
+     )${names.length > 0 ? `,
+     keys AS (
+       SELECT ${names.join(', ')} FROM click_rows UNION SELECT ${names.join(', ')} FROM conversion_rows LIMIT $6
+     )` : ''}
+     SELECT to_char(b.bucket, '${ANALYTICS_GRANULARITIES[granularity].format}') as period${names.map(name => `, k.${name}`).join('')},
+       COALESCE(cr.clicks, 0) as clicks, COALESCE(cr.unique_clicks, 0) as unique_clicks,
+       COALESCE(vr.conversions, 0) as conversions, COALESCE(vr.commission, 0) as commission
+     FROM buckets b${names.length > 0 ? ' CROSS JOIN keys k' : ''}
+     LEFT JOIN click_rows cr ON cr.bucket = b.bucket${matches('cr')}
+     LEFT JOIN conversion_rows vr ON vr.bucket = b.bucket${matches('vr')}
+     ORDER BY b.bucket${names.map(name => `, k.${name}`).join('')}`,
+    [userId, granularity, from, to, currency, ...(names.length > 0 ? [maxKeys + 1] : [])]
+  );
+  // Eine Gruppe mehr als erlaubt wurde geladen, um die Überschreitung zu erkennen
+  const periods = new Set(result.rows.map(row => row.period)).size;
+  if (periods > 0 && result.rows.length / periods > maxKeys) {
+    return { error: `Too many groups for granularity ${granularity} (max. ${maxKeys}); use a coarser granularity, a shorter range or fewer groupBy dimensions` };
+  }
+
+  const totals = await pool.query(
+    `SELECT
+       (SELECT COUNT(*) FROM clicks cl JOIN affiliate_links al ON cl.link_id = al.id
+        WHERE al.user_id = $1 AND cl.flag IS NULL AND cl.clicked_at >= $2::date AND cl.clicked_at < $3::date + 1) as clicks,
+       (SELECT COUNT(DISTINCT COALESCE(cl.visitor_id, cl.ip_address)) FROM clicks cl JOIN affiliate_links al ON cl.link_id = al.id
+        WHERE al.user_id = $1 AND cl.flag IS NULL AND cl.clicked_at >= $2::date AND cl.clicked_at < $3::date + 1) as unique_clicks,
+       COUNT(*) FILTER (WHERE c.status <> 'reversed') as conversions,
+       COALESCE(SUM(${convertedSql('c.commission - c.reversed_commission', '$4')}), 0) as commission
+     FROM conversions c JOIN affiliate_links al ON c.link_id = al.id
+     WHERE al.user_id = $1 AND c.converted_at >= $2::date AND c.converted_at < $3::date + 1`,
+    [userId, from, to, currency]
+  );
+
+  return {
+    from, to, granularity, groupBy: dimensions, currency,
+    totals: analyticsMetrics(totals.rows[0]),
+    rows: result.rows.map(row => ({
+      period: row.period,
+      ...Object.fromEntries(names.map(name => [name, row[name]])),
+      ...analyticsMetrics(row)
+    }))
+  };
+}
+
+// ?from, ?to (YYYY-MM-DD, Standard: letzte 30 Tage), ?granularity=hour|day|week|month, ?groupBy=product,country,...
+app.get('/api/analytics/report', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM products WHERE id = $1 RETURNING *', [req.params.id]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
-    res.json({ message: 'Product deleted successfully' });
+    const parsed = parseAnalyticsQuery(req.query);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const reporting = await resolveCurrency(req.query.currency, await payoutCurrencyOf(req.user.userId));
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
+    const report = await analyticsReport({ userId: req.user.userId, ...parsed.values, currency: reporting.currency });
+    if (report.error) return res.status(400).json({ error: report.error });
+    res.json(report);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete product' });
+    console.error('Analytics report error:', err);
+    res.status(500).json({ error: 'Failed to fetch analytics report' });
   }
 });
 
-// ============================================
-// PARTNER ROUTES
-// ============================================
-app.get('/api/partner/status', authenticateToken, async (req, res) => {
+// Ergebnisse je Kampagne im Zeitraum ?from/?to; Klicks und Conversions zählen zur Kampagne, der der Link zum Zeitpunkt des Klicks zugeordnet war
+app.get('/api/analytics/campaigns', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, name, email, is_partner, partner_approved FROM users WHERE id = $1', [req.user.userId]);
-    res.json(result.rows[0]);
+    const parsed = parseAnalyticsQuery(req.query);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const reporting = await resolveCurrency(req.query.currency, await payoutCurrencyOf(req.user.userId));
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
+    const { from, to } = parsed.values;
+    const result = await pool.query(
+      `SELECT cp.id as campaign_id, cp.name as campaign_name,
+              (SELECT COUNT(*)::int FROM affiliate_links WHERE campaign_id = cp.id) as link_count,
+              cl.clicks, c.conversions, c.commission
+       FROM campaigns cp
+       CROSS JOIN LATERAL (
+         SELECT COUNT(*) as clicks FROM clicks
+         WHERE campaign_id = cp.id AND flag IS NULL AND clicked_at >= $2::date AND clicked_at < $3::date + 1
+       ) cl
+       CROSS JOIN LATERAL (
+         SELECT COUNT(*) FILTER (WHERE c.status <> 'reversed') as conversions,
+                COALESCE(SUM(${convertedSql('c.commission - c.reversed_commission', '$4')}), 0) as commission
+         FROM conversions c
+         WHERE c.campaign_id = cp.id AND c.converted_at >= $2::date AND c.converted_at < $3::date + 1
+       ) c
+       WHERE cp.user_id = $1
+       ORDER BY commission DESC, cp.id`,
+      [req.user.userId, from, to, reporting.currency]
+    );
+    res.json({
+      from, to, currency: reporting.currency,
+      campaigns: result.rows.map(row => ({ campaign_id: row.campaign_id, campaign_name: row.campaign_name, link_count: row.link_count, ...analyticsMetrics(row) }))
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch status' });
+    res.status(500).json({ error: 'Failed to fetch campaign stats' });
   }
 });
 
-app.get('/api/partner/products', authenticateToken, isPartner, async (req, res) => {
+// Kurzform für das Dashboard: Tageswerte der letzten ?days Tage (Standard 7)
+app.get('/api/analytics/daily-stats', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM products WHERE vendor_id = $1 ORDER BY created_at DESC', [req.user.userId]);
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const result = await pool.query(
+      `SELECT to_char(d.day, 'YYYY-MM-DD') as date, COALESCE(SUM(s.clicks), 0)::int as clicks, COALESCE(SUM(s.conversions), 0)::int as conversions
+       FROM generate_series(CURRENT_DATE - ($2::int - 1), CURRENT_DATE, INTERVAL '1 day') d(day)
+       LEFT JOIN (stats_daily s JOIN affiliate_links al ON s.link_id = al.id AND al.user_id = $1) ON s.day = d.day
+       GROUP BY d.day ORDER BY d.day`,
+      [req.user.userId, days]
+    );
     res.json(result.rows);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch products' });
+    res.status(500).json({ error: 'Failed to fetch daily stats' });
   }
 });
 
-app.post('/api/partner/products', authenticateToken, isPartner, async (req, res) => {
+app.get('/api/analytics/product-stats', authenticateToken, async (req, res) => {
   try {
-    const { name, description, price, priceValue, type, commissionType, commissionValue, category, imageData, productUrl, attributionDays } = req.body;
+    const reporting = await resolveCurrency(req.query.currency, await payoutCurrencyOf(req.user.userId));
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
     const result = await pool.query(
-      'INSERT INTO products (name, description, price, price_value, type, commission_type, commission_value, category, image_data, product_url, attribution_days, vendor_id, approved) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,FALSE) RETURNING *',
-      [name, description, price, priceValue, type, commissionType, commissionValue, category, imageData, productUrl, attributionDays || 30, req.user.userId]
+      `SELECT p.id, p.name, p.image_url, p.thumbnail_url, ${statsSumSql('commission', '$2')} as revenue, COALESCE(SUM(s.conversions), 0) as conversions
+       FROM products p LEFT JOIN affiliate_links al ON p.id = al.product_id AND al.user_id = $1
+       LEFT JOIN stats_daily s ON al.id = s.link_id
+       GROUP BY p.id, p.name, p.image_url, p.thumbnail_url ORDER BY revenue DESC LIMIT $3`,
+      [req.user.userId, reporting.currency, Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 50)]
     );
-    res.json(result.rows[0]);
+    res.json(result.rows.map(row => ({ ...row, currency: reporting.currency })));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add product' });
+    res.status(500).json({ error: 'Failed to fetch product stats' });
   }
 });
 
-app.put('/api/partner/products/:id', authenticateToken, isPartner, async (req, res) => {
+// ============================================
+// LEADERBOARD ROUTES
+// ============================================
+// Umsätze in der Berichtswährung ?currency (Standard EUR), damit Produkte in verschiedenen Währungen vergleichbar sind
+app.get('/api/leaderboard/products', async (req, res) => {
   try {
-    const { name, description, price, priceValue, type, commissionType, commissionValue, category, imageData, productUrl, attributionDays } = req.body;
+    const reporting = await resolveCurrency(req.query.currency);
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
     const result = await pool.query(
-      `UPDATE products SET name=$1, description=$2, price=$3, price_value=$4, type=$5, commission_type=$6, commission_value=$7, category=$8, image_data=$9, product_url=$10, attribution_days=$11, approved=FALSE WHERE id=$12 AND vendor_id=$13 RETURNING *`,
-      [name, description, price, priceValue, type, commissionType, commissionValue, category, imageData, productUrl, attributionDays || 30, req.params.id, req.user.userId]
+      `SELECT p.id, p.name, p.image_url, p.thumbnail_url, ${statsSumSql('commission', '$1')} as revenue, COALESCE(SUM(s.conversions), 0) as conversions
+       FROM products p LEFT JOIN affiliate_links al ON p.id = al.product_id LEFT JOIN stats_daily s ON al.id = s.link_id
+       WHERE p.approved = TRUE GROUP BY p.id, p.name, p.image_url, p.thumbnail_url ORDER BY revenue DESC LIMIT 10`,
+      [reporting.currency]
     );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
-    res.json(result.rows[0]);
+    res.json(result.rows.map(row => ({ ...row, currency: reporting.currency })));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update product' });
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
   }
 });
 
-app.delete('/api/partner/products/:id', authenticateToken, isPartner, async (req, res) => {
+app.get('/api/leaderboard/marketers', async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM products WHERE id = $1 AND vendor_id = $2 RETURNING *', [req.params.id, req.user.userId]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
-    res.json({ message: 'Product deleted' });
+    const reporting = await resolveCurrency(req.query.currency);
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
+    const result = await pool.query(
+      `SELECT u.id, u.name, ${statsSumSql('commission', '$1')} as revenue, COALESCE(SUM(s.conversions), 0) as conversions, COALESCE(SUM(s.clicks), 0) as clicks
+       FROM users u LEFT JOIN affiliate_links al ON u.id = al.user_id LEFT JOIN stats_daily s ON al.id = s.link_id
+       WHERE u.is_admin = false AND u.is_partner = false
+       GROUP BY u.id, u.name ORDER BY revenue DESC LIMIT 10`,
+      [reporting.currency]
+    );
+    res.json(result.rows.map(row => ({ ...row, currency: reporting.currency })));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete product' });
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
   }
 });
 
-app.get('/api/partner/stats', authenticateToken, isPartner, async (req, res) => {
+// ============================================
+// PAYOUT ROUTES
+// ============================================
+const MIN_PAYOUT_AMOUNT = 10;
+const PAYOUT_METHODS = ['sepa', 'paypal'];
+
+// Erlaubte Statusübergänge; failed kann nach Korrektur erneut freigegeben werden
+const PAYOUT_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['processing', 'rejected'],
+  processing: ['paid', 'failed'],
+  failed: ['approved', 'rejected']
+};
+
+// Bei regelbesteuerten Affiliates wird die USt. zusätzlich zur Provision überwiesen
+const payoutTransferAmount = (payout) => roundMoney(parseFloat(payout.amount) + parseFloat(payout.vat_amount || 0));
+
+const normalizeIban = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+// ISO 13616 Prüfsumme (mod 97)
+function isValidIban(iban) {
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (ch) => String(ch.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+// Gibt { method, details } zurück oder { error }
+function parsePaymentDetails(paymentMethod, paymentDetails) {
+  const method = String(paymentMethod || '').toLowerCase();
+  if (!PAYOUT_METHODS.includes(method)) return { error: `paymentMethod must be one of: ${PAYOUT_METHODS.join(', ')}` };
+  if (method === 'sepa') {
+    const iban = normalizeIban(paymentDetails);
+    if (!isValidIban(iban)) return { error: 'Invalid IBAN' };
+    return { method, details: iban };
+  }
+  const email = String(paymentDetails || '').trim().toLowerCase();
+  if (!isValidEmail(email)) return { error: 'Invalid PayPal email address' };
+  return { method, details: email };
+}
+
+const payoutCurrencyOf = async (userId, db = pool) =>
+  (await db.query('SELECT payout_currency FROM users WHERE id = $1', [userId])).rows[0].payout_currency;
+
+// Verfügbar = Guthabenkonto im Ledger; beantragte Auszahlungen sind bereits reserviert.
+// ?currency rechnet zum aktuellen Kurs in eine Berichtswährung um (Standard: Auszahlungswährung).
+app.get('/api/payouts/balance', authenticateToken, async (req, res) => {
   try {
-    const stats = await pool.query(
-      `SELECT p.id, p.name, p.approved,
-        COUNT(DISTINCT al.id) as total_affiliates,
-        COUNT(DISTINCT cl.id) as total_clicks,
-        COUNT(DISTINCT c.id) as total_sales,
-        COALESCE(SUM(c.amount), 0) as total_revenue
-       FROM products p
-       LEFT JOIN affiliate_links al ON p.id = al.product_id
-       LEFT JOIN clicks cl ON al.id = cl.link_id
-       LEFT JOIN conversions c ON al.id = c.link_id
-       WHERE p.vendor_id = $1
-       GROUP BY p.id, p.name, p.approved ORDER BY total_revenue DESC`,
+    const payoutCurrency = await payoutCurrencyOf(req.user.userId);
+    const reporting = await resolveCurrency(req.query.currency, payoutCurrency);
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
+
+    await approveDueConversions();
+    const balances = await ledgerBalances(pool, req.user.userId, payoutCurrency);
+    const pending = await pool.query(
+      `SELECT COALESCE(SUM(alug_convert(c.commission - c.reversed_commission, c.currency, $2)), 0) as pending_earnings
+       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id WHERE al.user_id = $1 AND c.status = 'pending'`,
+      [req.user.userId, reporting.currency]
+    );
+    const rate = await exchangeRate(payoutCurrency, reporting.currency);
+    const report = (amount) => roundMoney(amount * rate);
+    res.json({
+      currency: reporting.currency,
+      payout_currency: payoutCurrency,
+      total_earned: report(balances.available + balances.reserved + balances.paidOut),
+      pending_earnings: parseFloat(pending.rows[0].pending_earnings),
+      reserved_balance: report(balances.reserved),
+      total_paid: report(balances.paidOut),
+      available_balance: report(balances.available)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch balance' });
+  }
+});
+
+// Wechsel nur ohne offenes Guthaben, damit nichts in der alten Währung liegen bleibt
+// Freigaben, Overrides und Auszahlungsanträge sperren den Nutzer ebenfalls, damit zwischen Prüfung und Wechsel
+// nichts mehr in der alten Währung gebucht wird. Spätere Stornos buchen in der Währung der ursprünglichen Gutschrift.
+app.put('/api/payouts/currency', authenticateToken, async (req, res) => {
+  if (!req.body.currency) return res.status(400).json({ error: 'currency is required' });
+  const client = await pool.connect();
+  try {
+    const resolved = await resolveCurrency(req.body.currency);
+    if (resolved.error) return res.status(400).json({ error: resolved.error });
+    await client.query('BEGIN');
+    const locked = await client.query('SELECT payout_currency FROM users WHERE id = $1 FOR UPDATE', [req.user.userId]);
+    const current = locked.rows[0].payout_currency;
+    if (resolved.currency !== current) {
+      const { available, reserved } = await ledgerBalances(client, req.user.userId, current);
+      if (available !== 0 || reserved !== 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Payout currency can only be changed while your available and reserved balance is zero' });
+      }
+      await client.query('UPDATE users SET payout_currency = $1 WHERE id = $2', [resolved.currency, req.user.userId]);
+    }
+    await client.query('COMMIT');
+    res.json({ payout_currency: resolved.currency });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to change payout currency' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/payouts/my-payouts', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.*, cn.number as credit_note_number FROM payouts p LEFT JOIN credit_notes cn ON cn.payout_id = p.id
+       WHERE p.user_id = $1 ORDER BY p.requested_at DESC`,
       [req.user.userId]
     );
-    res.json(stats.rows);
+    res.json(result.rows.map(payout => ({
+      ...payout,
+      credit_note_url: payout.credit_note_number ? `/api/payouts/${payout.id}/credit-note` : null
+    })));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch stats' });
+    res.status(500).json({ error: 'Failed to fetch payouts' });
   }
 });
 
-app.get('/api/partner/webhook-info', authenticateToken, isPartner, async (req, res) => {
+// Ohne Steuerprofil keine Gutschrift, daher Pflicht; SEPA nutzt ohne paymentDetails die IBAN aus dem Profil.
+// amount in der Auszahlungswährung; das Minimum gilt umgerechnet aus EUR.
+app.post('/api/payouts/request', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  const amount = roundMoney(parseFloat(req.body.amount));
+
+  let client;
   try {
-    const webhookSecret = process.env.WEBHOOK_SECRET || 'alug-webhook-secret-2024';
-    const backendUrl = 'https://alug-backend.onrender.com';
-    res.json({
-      webhookUrl: `${backendUrl}/api/webhook/conversion?secret=${webhookSecret}&link_code=ALUG_CODE&amount=BETRAG`,
-      secret: webhookSecret,
-      instructions: [
-        "1. Kopiere die Webhook URL.",
-        "2. Ersetze ALUG_CODE mit dem URL-Parameter 'alug_code' aus der Besucher-URL.",
-        "3. Ersetze BETRAG mit dem Kaufbetrag (z.B. 49.99).",
-        "4. Rufe diese URL bei jedem Kauf auf deiner Danke-Seite auf.",
-        "Shopify: Settings > Notifications > Webhooks",
-        "WooCommerce: WooCommerce > Einstellungen > Erweitert > Webhooks",
-        "Custom Shop: GET/POST Request nach jedem Kauf senden."
-      ]
+    const currency = await payoutCurrencyOf(req.user.userId);
+    const minimum = roundMoney(MIN_PAYOUT_AMOUNT * await exchangeRate(BASE_CURRENCY, currency));
+    if (!(amount >= minimum)) return res.status(400).json({ error: `Minimum payout amount is ${minimum.toFixed(2)} ${currency}` });
+
+    const profileResult = await pool.query('SELECT * FROM tax_profiles WHERE user_id = $1', [req.user.userId]);
+    const profile = profileResult.rows[0];
+    if (!profile) return res.status(400).json({ error: 'Please complete your tax profile first', code: 'tax_profile_required' });
+    const payment = parsePaymentDetails(req.body.paymentMethod, req.body.paymentDetails || (req.body.paymentMethod === 'sepa' ? profile.iban : undefined));
+    if (payment.error) return res.status(400).json({ error: payment.error });
+    if (payment.method === 'sepa' && currency !== 'EUR') return res.status(400).json({ error: 'SEPA payouts are only available in EUR' });
+    const vatRate = vatRateFor(profile.vat_status);
+
+    await approveDueConversions();
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // Sperre auf den Nutzer serialisiert parallele Anträge, damit nichts doppelt reserviert wird
+    const locked = await client.query('SELECT payout_currency FROM users WHERE id = $1 FOR UPDATE', [req.user.userId]);
+    if (locked.rows[0].payout_currency !== currency) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Payout currency changed, please try again' });
+    }
+    const { available } = await ledgerBalances(client, req.user.userId, currency);
+    if (amount > available) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
+
+    const result = await client.query(
+      `INSERT INTO payouts (user_id, amount, currency, payment_method, payment_details, vat_status, vat_rate, vat_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [req.user.userId, amount, currency, payment.method, payment.details, profile.vat_status, vatRate, roundMoney(amount * vatRate)]
+    );
+    await postLedger(client, { type: 'reservation', userId: req.user.userId, from: 'available', to: 'reserved', amount, currency, payoutId: result.rows[0].id });
+    await notifyAdmins(client, 'payout.requested', {
+      title: 'Neue Auszahlungsanfrage', body: `${formatMoney(amount, currency)} per ${payment.method}`, link: '/admin/payouts', data: { payoutId: result.rows[0].id }
     });
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch webhook info' });
+    if (client) await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to request payout' });
+  } finally {
+    client?.release();
   }
 });
 
+// Führt einen Statuswechsel inkl. Ledger-Buchung aus; erwartet eine offene Transaktion
+async function transitionPayout(client, payoutId, status, note) {
+  const locked = await client.query('SELECT * FROM payouts WHERE id = $1 FOR UPDATE', [payoutId]);
+  const payout = locked.rows[0];
+  if (!payout) return { status: 404, error: 'Payout not found' };
+  if (!(PAYOUT_TRANSITIONS[payout.status] || []).includes(status)) {
+    return { status: 400, error: `Cannot change payout from ${payout.status} to ${status}` };
+  }
+
+  const amount = parseFloat(payout.amount);
+  const { currency } = payout;
+  if (status === 'rejected') {
+    await postLedger(client, { type: 'release', userId: payout.user_id, from: 'reserved', to: 'available', amount, currency, payoutId: payout.id });
+  } else if (status === 'paid') {
+    await postLedger(client, { type: 'payout', userId: payout.user_id, from: 'reserved', to: 'paid_out', amount, currency, payoutId: payout.id });
+    // Die Überweisung enthält zusätzlich die USt. (payoutTransferAmount); sie geht nicht zu Lasten des Guthabens
+    await postLedger(client, {
+      type: 'payout_vat', userId: payout.user_id, from: 'input_vat', to: 'vat_paid_out', amount: parseFloat(payout.vat_amount || 0), currency, payoutId: payout.id
+    });
+  }
+
+  const result = await client.query(
+    `UPDATE payouts SET status = $1::varchar, status_note = COALESCE($2, status_note),
+      approved_at = CASE WHEN $1::varchar = 'approved' THEN CURRENT_TIMESTAMP ELSE approved_at END,
+      batch_id = CASE WHEN $1::varchar = 'approved' THEN NULL ELSE batch_id END,
+      processed_at = CASE WHEN $1::varchar IN ('paid', 'rejected', 'failed') THEN CURRENT_TIMESTAMP ELSE processed_at END
+     WHERE id = $3 RETURNING *`,
+    [status, note || null, payout.id]
+  );
+  if (status === 'paid') {
+    await markConversionsPaid(client, payout.user_id, payout.id, payout.currency);
+    await issueCreditNote(client, result.rows[0]);
+    const { id, amount: paidAmount, status: paidStatus, processed_at } = result.rows[0];
+    await emitEvent(client, payout.user_id, 'payout.paid', { id, amount: paidAmount, currency, status: paidStatus, processed_at });
+    await notify(client, payout.user_id, 'payout.paid', {
+      title: 'Auszahlung überwiesen', body: `${formatMoney(amount, currency)} wurden ausgezahlt`, link: '/payouts', data: { payoutId: id }
+    });
+  }
+  return { payout: result.rows[0] };
+}
+
 // ============================================
-// WEBHOOK - CONVERSION TRACKING
+// ADMIN ROUTES
 // ============================================
-app.get('/api/webhook/conversion', async (req, res) => {
+app.get('/api/admin/stats', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { secret, link_code, amount } = req.query;
-    const webhookSecret = process.env.WEBHOOK_SECRET || 'alug-webhook-secret-2024';
-    if (secret !== webhookSecret) return res.status(401).json({ error: 'Invalid webhook secret' });
-    if (!link_code || !amount) return res.status(400).json({ error: 'link_code and amount are required' });
+    const reporting = await resolveCurrency(req.query.currency);
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
+    const stats = await pool.query(
+      `SELECT
+        (SELECT COUNT(*) FROM users WHERE is_admin = false AND is_partner = false) as total_users,
+        (SELECT COUNT(*) FROM users WHERE is_partner = true) as total_partners,
+        (SELECT COUNT(*) FROM users WHERE is_partner = true AND partner_approved = false) as pending_partners,
+        (SELECT COUNT(*) FROM products WHERE approved = true) as total_products,
+        (SELECT COUNT(*) FROM products WHERE approved = false) as pending_products,
+        (SELECT COALESCE(SUM(conversions), 0) FROM stats_daily) as total_sales,
+        (SELECT ${statsSumSql('amount', '$1')} FROM stats_daily s) as total_revenue`,
+      [reporting.currency]
+    );
+    res.json({ ...stats.rows[0], currency: reporting.currency });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
 
-    const linkResult = await pool.query(
-      `SELECT al.id, p.commission_type, p.commission_value, p.attribution_days FROM affiliate_links al JOIN products p ON al.product_id = p.id WHERE al.link_code = $1`,
-      [link_code]
+app.get('/api/admin/users', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const reporting = await resolveCurrency(req.query.currency);
+    if (reporting.error) return res.status(400).json({ error: reporting.error });
+    const result = await pool.query(
+      `SELECT u.id, u.name, u.email, u.created_at, u.is_partner, u.partner_approved, u.payout_currency,
+        ${statsSumSql('commission', '$1')} as total_earnings,
+        COUNT(DISTINCT al.id) as total_links,
+        COALESCE(SUM(s.clicks), 0) as total_clicks,
+        COALESCE(SUM(s.conversions), 0) as total_conversions
+       FROM users u LEFT JOIN affiliate_links al ON u.id = al.user_id LEFT JOIN stats_daily s ON al.id = s.link_id
+       WHERE u.is_admin = false GROUP BY u.id, u.name, u.email, u.created_at, u.is_partner, u.partner_approved ORDER BY total_earnings DESC`,
+      [reporting.currency]
     );
-    if (linkResult.rows.length === 0) return res.status(404).json({ error: 'Link not found' });
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
 
-    const link = linkResult.rows[0];
-    const attributionDays = link.attribution_days || 30;
+app.get('/api/admin/partners', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.name, u.email, u.partner_approved, u.created_at,
+        pa.status as application_status, pa.company_name, pa.country, pa.submitted_at,
+        COUNT(DISTINCT p.id) as total_products,
+        COUNT(DISTINCT CASE WHEN p.approved = TRUE THEN p.id END) as approved_products
+       FROM users u LEFT JOIN products p ON u.id = p.vendor_id LEFT JOIN partner_applications pa ON pa.user_id = u.id
+       WHERE u.is_partner = TRUE
+       GROUP BY u.id, u.name, u.email, u.partner_approved, u.created_at, pa.id
+       ORDER BY (pa.status = 'pending') IS TRUE DESC, u.created_at DESC`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch partners' });
+  }
+});
 
-    const clickResult = await pool.query(
-      `SELECT id FROM clicks WHERE link_id = $1 AND clicked_at >= NOW() - INTERVAL '${attributionDays} days' ORDER BY clicked_at DESC LIMIT 1`,
-      [link.id]
+app.get('/api/admin/partner-applications', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const statuses = Object.keys(PARTNER_APPLICATION_TRANSITIONS);
+    if (status && !statuses.includes(status)) return res.status(400).json({ error: `status must be one of: ${statuses.join(', ')}` });
+    const result = await pool.query(
+      `SELECT pa.*, u.name as user_name, u.email as user_email, u.email_verified, r.name as reviewed_by_name
+       FROM partner_applications pa JOIN users u ON pa.user_id = u.id LEFT JOIN users r ON pa.reviewed_by = r.id
+       WHERE ($1::text IS NULL OR pa.status = $1) ORDER BY pa.submitted_at ASC`,
+      [status || null]
     );
-    if (clickResult.rows.length === 0) return res.status(400).json({ error: `No click found within ${attributionDays} day attribution window` });
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch applications' });
+  }
+});
 
-    const saleAmount = parseFloat(amount);
-    const commission = link.commission_type === 'percentage'
-      ? (saleAmount * parseFloat(link.commission_value)) / 100
-      : parseFloat(link.commission_value);
+app.get('/api/admin/partners/:id/application', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT pa.*, u.name as user_name, u.email as user_email, u.email_verified
+       FROM partner_applications pa JOIN users u ON pa.user_id = u.id WHERE pa.user_id = $1`,
+      [req.params.id]
+    );
+    const application = result.rows[0];
+    if (!application) return res.status(404).json({ error: 'Partner has no application' });
+    const history = await pool.query(
+      `SELECT e.*, u.name as actor_name FROM partner_application_events e LEFT JOIN users u ON e.actor_id = u.id
+       WHERE e.application_id = $1 ORDER BY e.created_at ASC, e.id ASC`,
+      [application.id]
+    );
+    res.json({ ...application, history: history.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch application' });
+  }
+});
 
-    await pool.query('INSERT INTO conversions (link_id, amount, commission) VALUES ($1, $2, $3)', [link.id, saleAmount, commission]);
-    console.log(`✅ Conversion: link_code=${link_code}, amount=${saleAmount}€, commission=${commission}€`);
-    res.json({ success: true, message: 'Conversion tracked', commission: commission.toFixed(2) });
+// Interne Notizen; für den Partner nicht sichtbar
+app.put('/api/admin/partners/:id/application/notes', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE partner_applications SET admin_notes = $1 WHERE user_id = $2 RETURNING *',
+      [req.body.notes || null, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Partner has no application' });
+    res.json(result.rows[0]);
   } catch (err) {
-    console.error('Webhook error:', err);
-    res.status(500).json({ error: 'Failed to track conversion' });
+    res.status(500).json({ error: 'Failed to update notes' });
   }
 });
 
-app.post('/api/webhook/conversion', async (req, res) => {
+async function reviewPartnerApplication(req, res, status) {
+  const reason = String(req.body.reason || '').trim() || null;
+  if (status === 'rejected' && !reason) return res.status(400).json({ error: 'A rejection reason is required' });
+
+  const client = await pool.connect();
   try {
-    const { secret, link_code, amount } = { ...req.query, ...req.body };
-    const webhookSecret = process.env.WEBHOOK_SECRET || 'alug-webhook-secret-2024';
-    if (secret !== webhookSecret) return res.status(401).json({ error: 'Invalid webhook secret' });
-    if (!link_code || !amount) return res.status(400).json({ error: 'link_code and amount are required' });
+    await client.query('BEGIN');
+    const result = await transitionPartnerApplication(client, req.params.id, status, { actorId: req.user.userId, reason, notes: req.body.notes });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
+    }
+    await client.query('COMMIT');
+    if (result.application) await sendApplicationDecisionEmail(req.params.id, result.application);
+    const user = await pool.query('SELECT id, name, email, is_partner, partner_approved FROM users WHERE id = $1', [req.params.id]);
+    res.json({ ...user.rows[0], application: result.application });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Partner review error:', err);
+    res.status(500).json({ error: 'Failed to update partner application' });
+  } finally {
+    client.release();
+  }
+}
 
-    const linkResult = await pool.query(
-      `SELECT al.id, p.commission_type, p.commission_value, p.attribution_days FROM affiliate_links al JOIN products p ON al.product_id = p.id WHERE al.link_code = $1`,
-      [link_code]
-    );
-    if (linkResult.rows.length === 0) return res.status(404).json({ error: 'Link not found' });
+// Freigabe mit vollständigem Antrag (Firmendaten, USt-IdNr., akzeptierte Bedingungen); Altpartner ohne Antrag werden direkt freigeschaltet
+app.put('/api/admin/partners/:id/approve', authenticateToken, isAdmin, (req, res) => reviewPartnerApplication(req, res, 'approved'));
 
-    const link = linkResult.rows[0];
-    const attributionDays = link.attribution_days || 30;
+app.put('/api/admin/partners/:id/reject', authenticateToken, isAdmin, (req, res) => reviewPartnerApplication(req, res, 'rejected'));
+
+// Partner, die vor den Anträgen freigeschaltet wurden, haben keinen Antrag und werden direkt gesperrt
+app.put('/api/admin/partners/:id/revoke', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const application = await pool.query('SELECT id FROM partner_applications WHERE user_id = $1', [req.params.id]);
+    if (application.rows.length > 0) return reviewPartnerApplication(req, res, 'revoked');
+    const result = await pool.query(
+      'UPDATE users SET partner_approved = FALSE WHERE id = $1 RETURNING id, name, email, is_partner, partner_approved',
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Partner not found' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to revoke partner' });
+  }
+});
 
-    const clickResult = await pool.query(
-      `SELECT id FROM clicks WHERE link_id = $1 AND clicked_at >= NOW() - INTERVAL '${attributionDays} days' ORDER BY clicked_at DESC LIMIT 1`,
-      [link.id]
+app.get('/api/admin/products', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !MODERATION_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+    const result = await pool.query(
+      `SELECT p.*, u.name as vendor_name,
+        (SELECT id FROM product_revisions WHERE product_id = p.id AND status = 'pending') as pending_revision_id
+       FROM products p LEFT JOIN users u ON p.vendor_id = u.id
+       WHERE ($1::text IS NULL OR p.moderation_status = $1)
+       ORDER BY (p.moderation_status = 'pending_review' OR EXISTS (SELECT 1 FROM product_revisions WHERE product_id = p.id AND status = 'pending')) DESC, p.created_at DESC`,
+      [status || null]
     );
-    if (clickResult.rows.length === 0) return res.status(400).json({ error: `No click found within ${attributionDays} day attribution window` });
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
 
-    const saleAmount = parseFloat(amount);
-    const commission = link.commission_type === 'percentage'
-      ? (saleAmount * parseFloat(link.commission_value)) / 100
-      : parseFloat(link.commission_value);
+// Gibt entweder ein Produkt in Prüfung frei oder übernimmt die offene Revision eines Live-Produkts
+app.put('/api/admin/products/:id/approve', authenticateToken, isAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+    const product = existing.rows[0];
+    if (!product) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Product not found' });
+    }
 
-    await pool.query('INSERT INTO conversions (link_id, amount, commission) VALUES ($1, $2, $3)', [link.id, saleAmount, commission]);
-    res.json({ success: true, message: 'Conversion tracked', commission: commission.toFixed(2) });
+    const revision = (await client.query(`SELECT * FROM product_revisions WHERE product_id = $1 AND status = 'pending'`, [product.id])).rows[0];
+    let updated;
+    if (revision) {
+      await applyProductChanges(client, product.id, revision.changes);
+      await client.query(
+        `UPDATE product_revisions SET status = 'approved', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [req.user.userId, revision.id]
+      );
+      updated = await setModerationStatus(client, product.id, 'approved', { actorId: req.user.userId, action: 'revision_approved', revisionId: revision.id });
+    } else if (product.moderation_status !== 'approved') {
+      updated = await setModerationStatus(client, product.id, 'approved', { actorId: req.user.userId, action: 'approved' });
+    } else {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Nothing to approve' });
+    }
+    await emitEvent(client, product.vendor_id, 'product.approved', productEventData(updated, revision));
+    await notify(client, product.vendor_id, 'product.approved', {
+      title: revision ? 'Produktänderung freigegeben' : 'Produkt freigegeben', body: updated.name, link: '/partner', data: { productId: product.id }
+    });
+    await client.query('COMMIT');
+    res.json(updated);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to track conversion' });
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to approve product' });
+  } finally {
+    client.release();
   }
 });
 
-// ============================================
-// AFFILIATE LINK ROUTES
-// ============================================
-app.post('/api/affiliate/generate', authenticateToken, async (req, res) => {
+// Offene Revision ablehnen (Live-Version bleibt) bzw. Produkt ablehnen; der Grund ist für den Partner sichtbar
+app.put('/api/admin/products/:id/reject', authenticateToken, isAdmin, async (req, res) => {
+  const reason = String(req.body.reason || '').trim();
+  if (!reason) return res.status(400).json({ error: 'A rejection reason is required' });
+
+  const client = await pool.connect();
   try {
-    const { productId } = req.body;
-    const userId = req.user.userId;
-    const existing = await pool.query('SELECT * FROM affiliate_links WHERE user_id = $1 AND product_id = $2', [userId, productId]);
-    if (existing.rows.length > 0) return res.json({ link: existing.rows[0] });
-    const linkCode = `${userId}-${productId}-${Date.now()}`;
-    const result = await pool.query('INSERT INTO affiliate_links (user_id, product_id, link_code) VALUES ($1, $2, $3) RETURNING *', [userId, productId, linkCode]);
-    res.json({ link: result.rows[0] });
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+    const product = existing.rows[0];
+    if (!product) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const revision = (await client.query(`SELECT * FROM product_revisions WHERE product_id = $1 AND status = 'pending'`, [product.id])).rows[0];
+    let updated = product;
+    if (revision) {
+      await client.query(
+        `UPDATE product_revisions SET status = 'rejected', rejection_reason = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP WHERE id = $3`,
+        [reason, req.user.userId, revision.id]
+      );
+      await logModerationEvent(client, { productId: product.id, revisionId: revision.id, action: 'revision_rejected', reason, actorId: req.user.userId });
+    } else {
+      updated = await setModerationStatus(client, product.id, 'rejected', { actorId: req.user.userId, action: 'rejected', reason });
+    }
+    await emitEvent(client, product.vendor_id, 'product.rejected', { ...productEventData(updated, revision), reason });
+    await notify(client, product.vendor_id, 'product.rejected', {
+      title: revision ? 'Produktänderung abgelehnt' : 'Produkt abgelehnt', body: `${updated.name}: ${reason}`, link: '/partner', data: { productId: product.id }
+    });
+    await client.query('COMMIT');
+    res.json(updated);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to generate affiliate link' });
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to reject product' });
+  } finally {
+    client.release();
   }
 });
 
-app.get('/api/affiliate/my-links', authenticateToken, async (req, res) => {
+app.get('/api/admin/products/:id/history', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT al.*, p.name as product_name, p.image_data, p.price,
-              (SELECT COUNT(*) FROM clicks WHERE link_id = al.id) as clicks,
-              (SELECT COUNT(*) FROM conversions WHERE link_id = al.id) as conversions,
-              (SELECT COALESCE(SUM(commission), 0) FROM conversions WHERE link_id = al.id) as revenue
-       FROM affiliate_links al JOIN products p ON al.product_id = p.id
-       WHERE al.user_id = $1 ORDER BY al.created_at DESC`,
-      [req.user.userId]
+    const events = await pool.query(
+      `SELECT e.*, u.name as actor_name FROM product_moderation_events e LEFT JOIN users u ON e.actor_id = u.id
+       WHERE e.product_id = $1 ORDER BY e.created_at DESC, e.id DESC`,
+      [req.params.id]
     );
-    res.json(result.rows);
+    const revisions = await pool.query(
+      `SELECT r.*, u.name as reviewer_name FROM product_revisions r LEFT JOIN users u ON r.reviewed_by = u.id
+       WHERE r.product_id = $1 ORDER BY r.created_at DESC`,
+      [req.params.id]
+    );
+    res.json({ events: events.rows, revisions: revisions.rows });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch affiliate links' });
+    res.status(500).json({ error: 'Failed to fetch product history' });
   }
 });
 
-// ============================================
-// ANALYTICS ROUTES
-// ============================================
-app.get('/api/analytics/my-stats', authenticateToken, async (req, res) => {
+// Diff der offenen (oder per ?revisionId gewählten) Revision gegen die aktuelle Live-Version
+app.get('/api/admin/products/:id/diff', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const stats = await pool.query(
-      `SELECT 
-        (SELECT COALESCE(SUM(c.commission), 0) FROM conversions c JOIN affiliate_links al ON c.link_id = al.id WHERE al.user_id = $1) as total_earnings,
-        (SELECT COUNT(*) FROM clicks cl JOIN affiliate_links al ON cl.link_id = al.id WHERE al.user_id = $1) as total_clicks,
-        (SELECT COUNT(*) FROM conversions c JOIN affiliate_links al ON c.link_id = al.id WHERE al.user_id = $1) as total_conversions,
-        (SELECT COUNT(*) FROM affiliate_links WHERE user_id = $1) as active_links`,
-      [userId]
+    const product = await pool.query('SELECT * FROM products WHERE id = $1', [req.params.id]);
+    if (product.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
+
+    const revision = await pool.query(
+      `SELECT * FROM product_revisions WHERE product_id = $1 AND (id = $2 OR ($2 IS NULL AND status = 'pending'))`,
+      [req.params.id, parseInt(req.query.revisionId) || null]
     );
-    res.json(stats.rows[0]);
+    if (revision.rows.length === 0) return res.status(404).json({ error: 'Revision not found' });
+    res.json({ revision: revision.rows[0], changes: diffRevision(product.rows[0], revision.rows[0].changes) });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch stats' });
+    res.status(500).json({ error: 'Failed to build revision diff' });
   }
 });
 
-app.get('/api/analytics/daily-stats', authenticateToken, async (req, res) => {
+app.get('/api/admin/conversions', authenticateToken, isAdmin, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT DATE(clicked_at) as date, COUNT(*) as clicks,
-        (SELECT COUNT(*) FROM conversions c2 JOIN affiliate_links al2 ON c2.link_id = al2.id 
-         WHERE al2.user_id = $1 AND DATE(c2.converted_at) = DATE(cl.clicked_at)) as conversions
-       FROM clicks cl JOIN affiliate_links al ON cl.link_id = al.id
-       WHERE al.user_id = $1 AND cl.clicked_at >= NOW() - INTERVAL '7 days'
-       GROUP BY DATE(clicked_at) ORDER BY date`,
-      [req.user.userId]
+      `SELECT c.*, al.link_code, u.name as user_name, p.name as product_name
+       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id JOIN users u ON al.user_id = u.id JOIN products p ON al.product_id = p.id
+       ORDER BY c.converted_at DESC`
     );
     res.json(result.rows);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch daily stats' });
+    res.status(500).json({ error: 'Failed to fetch conversions' });
   }
 });
 
-app.get('/api/analytics/product-stats', authenticateToken, async (req, res) => {
+app.get('/api/admin/fraud-reviews', authenticateToken, isAdmin, async (req, res) => {
   try {
+    const status = req.query.status || 'open';
     const result = await pool.query(
-      `SELECT p.id, p.name, p.image_data, COALESCE(SUM(c.commission), 0) as revenue, COUNT(DISTINCT c.id) as conversions
-       FROM products p LEFT JOIN affiliate_links al ON p.id = al.product_id AND al.user_id = $1
-       LEFT JOIN conversions c ON al.id = c.link_id
-       GROUP BY p.id, p.name, p.image_data ORDER BY revenue DESC LIMIT 5`,
-      [req.user.userId]
+      `SELECT fr.*, c.order_id, c.amount, c.commission, c.currency, c.status as conversion_status, c.converted_at,
+        cl.ip_address, cl.user_agent, cl.clicked_at, al.link_code, u.name as user_name, p.name as product_name
+       FROM fraud_reviews fr JOIN conversions c ON fr.conversion_id = c.id
+       LEFT JOIN clicks cl ON c.click_id = cl.id
+       JOIN affiliate_links al ON c.link_id = al.id JOIN users u ON al.user_id = u.id JOIN products p ON al.product_id = p.id
+       WHERE ($1 = 'all' OR fr.status = $1) ORDER BY fr.created_at DESC`,
+      [status]
     );
     res.json(result.rows);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch product stats' });
+    res.status(500).json({ error: 'Failed to fetch fraud reviews' });
   }
 });
 
-// ============================================
-// LEADERBOARD ROUTES
-// ============================================
-app.get('/api/leaderboard/products', async (req, res) => {
+// hold: Conversion bleibt gesperrt, release: Conversion läuft normal weiter in die Genehmigung
+app.put('/api/admin/fraud-reviews/:id/:action', authenticateToken, isAdmin, async (req, res) => {
   try {
+    const { action } = req.params;
+    if (!['hold', 'release'].includes(action)) return res.status(404).json({ error: 'Unknown action' });
     const result = await pool.query(
-      `SELECT p.id, p.name, p.image_data, COALESCE(SUM(c.commission), 0) as revenue, COUNT(DISTINCT c.id) as conversions
-       FROM products p LEFT JOIN affiliate_links al ON p.id = al.product_id LEFT JOIN conversions c ON al.id = c.link_id
-       WHERE p.approved = TRUE GROUP BY p.id, p.name, p.image_data ORDER BY revenue DESC LIMIT 10`
+      `UPDATE fraud_reviews SET status = $1, note = COALESCE($2, note), reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $4 RETURNING *`,
+      [action === 'hold' ? 'held' : 'released', req.body?.note || null, req.user.userId, req.params.id]
     );
-    res.json(result.rows);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Fraud review not found' });
+    await pool.query('UPDATE conversions SET on_hold = $1 WHERE id = $2', [action === 'hold', result.rows[0].conversion_id]);
+    res.json(result.rows[0]);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    res.status(500).json({ error: 'Failed to update fraud review' });
   }
 });
 
-app.get('/api/leaderboard/marketers', async (req, res) => {
+app.get('/api/admin/settings', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT u.id, u.name, COALESCE(SUM(c.commission), 0) as revenue, COUNT(DISTINCT c.id) as conversions, COUNT(DISTINCT cl.id) as clicks
-       FROM users u LEFT JOIN affiliate_links al ON u.id = al.user_id LEFT JOIN conversions c ON al.id = c.link_id LEFT JOIN clicks cl ON al.id = cl.link_id
-       WHERE u.is_admin = false AND u.is_partner = false
-       GROUP BY u.id, u.name ORDER BY revenue DESC LIMIT 10`
-    );
-    res.json(result.rows);
+    const result = await pool.query('SELECT key, value FROM settings');
+    const stored = Object.fromEntries(result.rows.map(row => [row.key, row.value]));
+    res.json({ ...SETTINGS_DEFAULTS, ...stored });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    res.status(500).json({ error: 'Failed to fetch settings' });
   }
 });
 
-// ============================================
-// PAYOUT ROUTES
-// ============================================
-app.get('/api/payouts/balance', authenticateToken, async (req, res) => {
+// Nur bekannte Schlüssel mit passendem Typ; 2FA-Pflicht nur einschaltbar, wenn der Admin selbst 2FA nutzt
+app.put('/api/admin/settings', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT COALESCE(SUM(c.commission), 0) as total_earned,
-        COALESCE((SELECT SUM(amount) FROM payouts WHERE user_id = $1 AND status = 'paid'), 0) as total_paid,
-        COALESCE(SUM(c.commission), 0) - COALESCE((SELECT SUM(amount) FROM payouts WHERE user_id = $1 AND status = 'paid'), 0) as available_balance
-       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id WHERE al.user_id = $1`,
-      [req.user.userId]
-    );
-    res.json(result.rows[0]);
+    const updates = Object.entries(req.body || {});
+    for (const [key, value] of updates) {
+      if (!(key in SETTINGS_DEFAULTS)) return res.status(400).json({ error: `Unknown setting: ${key}` });
+      if (typeof value !== typeof SETTINGS_DEFAULTS[key]) return res.status(400).json({ error: `Setting ${key} must be a ${typeof SETTINGS_DEFAULTS[key]}` });
+    }
+    const rates = updates.find(([key]) => key === 'referral_override_rates')?.[1];
+    if (rates !== undefined && !isValidOverrideRates(rates)) {
+      return res.status(400).json({ error: `referral_override_rates must be a list of up to ${REFERRAL_MAX_LEVELS} percentages between 0 and ${REFERRAL_MAX_PERCENT}` });
+    }
+    if (updates.some(([key, value]) => key === 'require_admin_2fa' && value) && !req.user.twoFactor) {
+      return res.status(400).json({ error: 'Enable two-factor authentication for your own account first' });
+    }
+
+    for (const [key, value] of updates) {
+      await pool.query(
+        `INSERT INTO settings (key, value, updated_by, updated_at) VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+        [key, JSON.stringify(value), req.user.userId]
+      );
+    }
+    const result = await pool.query('SELECT key, value FROM settings');
+    res.json({ ...SETTINGS_DEFAULTS, ...Object.fromEntries(result.rows.map(row => [row.key, row.value])) });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch balance' });
+    res.status(500).json({ error: 'Failed to update settings' });
   }
 });
 
-app.get('/api/payouts/my-payouts', authenticateToken, async (req, res) => {
+app.get('/api/admin/payouts', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM payouts WHERE user_id = $1 ORDER BY requested_at DESC', [req.user.userId]);
+    const { status } = req.query;
+    const result = await pool.query(
+      `SELECT p.*, u.name as user_name, u.email as user_email, cn.number as credit_note_number
+       FROM payouts p JOIN users u ON p.user_id = u.id LEFT JOIN credit_notes cn ON cn.payout_id = p.id
+       WHERE ($1::text IS NULL OR p.status = $1) ORDER BY p.requested_at DESC`,
+      [status || null]
+    );
     res.json(result.rows);
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch payouts' });
   }
 });
 
-app.post('/api/payouts/request', authenticateToken, async (req, res) => {
+app.put('/api/admin/payouts/:id', authenticateToken, isAdmin, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { amount, paymentMethod, paymentDetails } = req.body;
-    if (amount < 10) return res.status(400).json({ error: 'Minimum payout amount is €10' });
-
-    const balanceResult = await pool.query(
-      `SELECT COALESCE(SUM(c.commission), 0) - COALESCE((SELECT SUM(amount) FROM payouts WHERE user_id = $1 AND status = 'paid'), 0) as available_balance
-       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id WHERE al.user_id = $1`,
-      [req.user.userId]
-    );
-    if (amount > parseFloat(balanceResult.rows[0].available_balance)) return res.status(400).json({ error: 'Insufficient balance' });
+    // Freigaben können zusätzlich einen frischen TOTP-Code verlangen
+    if (req.body.status === 'approved' && await getSetting('require_2fa_for_payout_approval')) {
+      const admin = await client.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+      if (!admin.rows[0].totp_enabled || !(await verifyTotp(admin.rows[0], req.body.totpCode))) {
+        return res.status(403).json({ error: 'A valid two-factor code is required to approve payouts', code: 'two_factor_required' });
+      }
+    }
 
-    const result = await pool.query(
-      'INSERT INTO payouts (user_id, amount, payment_method, payment_details) VALUES ($1, $2, $3, $4) RETURNING *',
-      [req.user.userId, amount, paymentMethod, paymentDetails]
-    );
-    res.json(result.rows[0]);
+    await client.query('BEGIN');
+    const outcome = await transitionPayout(client, req.params.id, req.body.status, req.body.note);
+    if (outcome.error) {
+      await client.query('ROLLBACK');
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    await client.query('COMMIT');
+    res.json(outcome.payout);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to request payout' });
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to update payout' });
+  } finally {
+    client.release();
   }
 });
 
 // ============================================
-// ADMIN ROUTES
+// PAYOUT BATCHES (SEPA / PAYPAL)
 // ============================================
-app.get('/api/admin/stats', authenticateToken, isAdmin, async (req, res) => {
-  try {
-    const stats = await pool.query(
-      `SELECT 
-        (SELECT COUNT(*) FROM users WHERE is_admin = false AND is_partner = false) as total_users,
-        (SELECT COUNT(*) FROM users WHERE is_partner = true) as total_partners,
-        (SELECT COUNT(*) FROM users WHERE is_partner = true AND partner_approved = false) as pending_partners,
-        (SELECT COUNT(*) FROM products WHERE approved = true) as total_products,
-        (SELECT COUNT(*) FROM products WHERE approved = false) as pending_products,
-        (SELECT COUNT(*) FROM conversions) as total_sales,
-        (SELECT COALESCE(SUM(amount), 0) FROM conversions) as total_revenue`
-    );
-    res.json(stats.rows[0]);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch stats' });
-  }
-});
+// Freigegebene Auszahlungen werden pro Zahlungsart gebündelt exportiert und wechseln auf processing
+const xmlEscape = (value) => String(value ?? '').replace(/[<>&'"]/g, (ch) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[ch]));
 
-app.get('/api/admin/users', authenticateToken, isAdmin, async (req, res) => {
+// SEPA erlaubt nur einen eingeschränkten lateinischen Zeichensatz
+const sepaText = (value, maxLength = 70) => String(value ?? '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/ß/g, 'ss')
+  .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+  .replace(/\s+/g, ' ').trim().slice(0, maxLength);
+
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function buildSepaXml(batch, payouts) {
+  const debtorName = sepaText(process.env.SEPA_DEBTOR_NAME || 'ALUG');
+  const debtorIban = normalizeIban(process.env.SEPA_DEBTOR_IBAN);
+  const debtorBic = process.env.SEPA_DEBTOR_BIC;
+  const total = roundMoney(payouts.reduce((sum, p) => sum + payoutTransferAmount(p), 0)).toFixed(2);
+  const messageId = `ALUG-BATCH-${batch.id}`;
+  const createdAt = new Date(batch.created_at).toISOString().slice(0, 19);
+  const executionDate = new Date().toISOString().slice(0, 10);
+  const debtorAgent = debtorBic
+    ? `<FinInstnId><BIC>${xmlEscape(debtorBic)}</BIC></FinInstnId>`
+    : '<FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId>';
+
+  const transactions = payouts.map(p => `
+      <CdtTrfTxInf>
+        <PmtId><EndToEndId>ALUG-PAYOUT-${p.id}</EndToEndId></PmtId>
+        <Amt><InstdAmt Ccy="EUR">${payoutTransferAmount(p).toFixed(2)}</InstdAmt></Amt>
+        <Cdtr><Nm>${xmlEscape(sepaText(p.user_name))}</Nm></Cdtr>
+        <CdtrAcct><Id><IBAN>${xmlEscape(p.payment_details)}</IBAN></Id></CdtrAcct>
+        <RmtInf><Ustrd>${xmlEscape(sepaText(`ALUG Auszahlung ${p.id}`, 140))}</Ustrd></RmtInf>
+      </CdtTrfTxInf>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${messageId}</MsgId>
+      <CreDtTm>${createdAt}</CreDtTm>
+      <NbOfTxs>${payouts.length}</NbOfTxs>
+      <CtrlSum>${total}</CtrlSum>
+      <InitgPty><Nm>${xmlEscape(debtorName)}</Nm></InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${messageId}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <BtchBookg>true</BtchBookg>
+      <NbOfTxs>${payouts.length}</NbOfTxs>
+      <CtrlSum>${total}</CtrlSum>
+      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl></PmtTpInf>
+      <ReqdExctnDt>${executionDate}</ReqdExctnDt>
+      <Dbtr><Nm>${xmlEscape(debtorName)}</Nm></Dbtr>
+      <DbtrAcct><Id><IBAN>${xmlEscape(debtorIban)}</IBAN></Id></DbtrAcct>
+      <DbtrAgt>${debtorAgent}</DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+}
+
+// PayPal Payouts Sammelzahlung: E-Mail, Betrag, Währung, Referenz, Notiz, Empfängerkanal (ohne Kopfzeile)
+function buildPaypalCsv(batch, payouts) {
+  return payouts.map(p => [
+    p.payment_details, payoutTransferAmount(p).toFixed(2), p.currency, `ALUG-PAYOUT-${p.id}`, `ALUG Auszahlung ${p.id}`, 'PAYPAL'
+  ].map(csvField).join(',')).join('\n') + '\n';
+}
+
+app.get('/api/admin/payout-batches', authenticateToken, isAdmin, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT u.id, u.name, u.email, u.created_at, u.is_partner, u.partner_approved,
-        COALESCE(SUM(c.commission), 0) as total_earnings,
-        COUNT(DISTINCT al.id) as total_links,
-        COUNT(DISTINCT cl.id) as total_clicks,
-        COUNT(DISTINCT c.id) as total_conversions
-       FROM users u LEFT JOIN affiliate_links al ON u.id = al.user_id LEFT JOIN clicks cl ON al.id = cl.link_id LEFT JOIN conversions c ON al.id = c.link_id
-       WHERE u.is_admin = false GROUP BY u.id, u.name, u.email, u.created_at, u.is_partner, u.partner_approved ORDER BY total_earnings DESC`
+      `SELECT id, format, status, payout_count, total_amount, currency, created_by, created_at, paid_at FROM payout_batches ORDER BY created_at DESC`
     );
     res.json(result.rows);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch users' });
+    res.status(500).json({ error: 'Failed to fetch payout batches' });
   }
 });
 
-app.get('/api/admin/partners', authenticateToken, isAdmin, async (req, res) => {
+// Ein Batch enthält nur Auszahlungen einer Währung (SEPA nur EUR)
+app.post('/api/admin/payout-batches', authenticateToken, isAdmin, async (req, res) => {
+  const { format } = req.body;
+  const currency = normalizeCurrency(req.body.currency || BASE_CURRENCY);
+  if (!PAYOUT_METHODS.includes(format)) return res.status(400).json({ error: `format must be one of: ${PAYOUT_METHODS.join(', ')}` });
+  if (format === 'sepa' && currency !== 'EUR') return res.status(400).json({ error: 'SEPA batches are only available in EUR' });
+  if (format === 'sepa' && !isValidIban(normalizeIban(process.env.SEPA_DEBTOR_IBAN))) {
+    return res.status(500).json({ error: 'SEPA debtor account is not configured' });
+  }
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      `SELECT u.id, u.name, u.email, u.partner_approved, u.created_at,
-        COUNT(DISTINCT p.id) as total_products,
-        COUNT(DISTINCT CASE WHEN p.approved = TRUE THEN p.id END) as approved_products
-       FROM users u LEFT JOIN products p ON u.id = p.vendor_id
-       WHERE u.is_partner = TRUE
-       GROUP BY u.id, u.name, u.email, u.partner_approved, u.created_at ORDER BY u.created_at DESC`
+    await client.query('BEGIN');
+    const payouts = await client.query(
+      `SELECT p.*, u.name as user_name FROM payouts p JOIN users u ON p.user_id = u.id
+       WHERE p.status = 'approved' AND p.payment_method = $1 AND p.currency = $2 ORDER BY p.id FOR UPDATE OF p`,
+      [format, currency]
     );
-    res.json(result.rows);
+    if (payouts.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'No approved payouts for this payment method and currency' });
+    }
+
+    const total = roundMoney(payouts.rows.reduce((sum, p) => sum + payoutTransferAmount(p), 0));
+    const batchResult = await client.query(
+      'INSERT INTO payout_batches (format, payout_count, total_amount, currency, created_by) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [format, payouts.rows.length, total, currency, req.user.userId]
+    );
+    const batch = batchResult.rows[0];
+    const file = format === 'sepa' ? buildSepaXml(batch, payouts.rows) : buildPaypalCsv(batch, payouts.rows);
+
+    await client.query('UPDATE payout_batches SET file_content = $1 WHERE id = $2', [file, batch.id]);
+    for (const payout of payouts.rows) {
+      const outcome = await transitionPayout(client, payout.id, 'processing');
+      if (outcome.error) throw new Error(outcome.error);
+    }
+    await client.query('UPDATE payouts SET batch_id = $1 WHERE id = ANY($2)', [batch.id, payouts.rows.map(p => p.id)]);
+    await client.query('COMMIT');
+
+    const { file_content, ...summary } = batch;
+    res.status(201).json({ ...summary, payoutIds: payouts.rows.map(p => p.id) });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch partners' });
+    await client.query('ROLLBACK');
+    console.error('Payout batch error:', err);
+    res.status(500).json({ error: 'Failed to create payout batch' });
+  } finally {
+    client.release();
   }
 });
 
-app.put('/api/admin/partners/:id/approve', authenticateToken, isAdmin, async (req, res) => {
+app.get('/api/admin/payout-batches/:id/file', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const result = await pool.query(
-      'UPDATE users SET partner_approved = TRUE WHERE id = $1 AND is_partner = TRUE RETURNING id, name, email, is_partner, partner_approved',
-      [req.params.id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Partner not found' });
-    res.json(result.rows[0]);
+    const result = await pool.query('SELECT id, format, file_content FROM payout_batches WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Payout batch not found' });
+
+    const { id, format, file_content } = result.rows[0];
+    const sepa = format === 'sepa';
+    res.setHeader('Content-Type', sepa ? 'application/xml; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="alug-payouts-${id}.${sepa ? 'xml' : 'csv'}"`);
+    res.send(file_content);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to approve partner' });
+    res.status(500).json({ error: 'Failed to download payout batch' });
   }
 });
 
-app.put('/api/admin/partners/:id/revoke', authenticateToken, isAdmin, async (req, res) => {
+// Alle noch in Bearbeitung befindlichen Auszahlungen des Batches als bezahlt buchen (einzeln fehlgeschlagene bleiben failed)
+app.put('/api/admin/payout-batches/:id/paid', authenticateToken, isAdmin, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      'UPDATE users SET partner_approved = FALSE WHERE id = $1 RETURNING id, name, email, is_partner, partner_approved',
+    await client.query('BEGIN');
+    const batchResult = await client.query('SELECT * FROM payout_batches WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (batchResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Payout batch not found' });
+    }
+    if (batchResult.rows[0].status === 'paid') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Payout batch already marked as paid' });
+    }
+
+    const payouts = await client.query(
+      `SELECT id FROM payouts WHERE batch_id = $1 AND status = 'processing' ORDER BY id`,
       [req.params.id]
     );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Partner not found' });
-    res.json(result.rows[0]);
+    for (const payout of payouts.rows) {
+      const outcome = await transitionPayout(client, payout.id, 'paid');
+      if (outcome.error) throw new Error(outcome.error);
+    }
+    const result = await client.query(
+      `UPDATE payout_batches SET status = 'paid', paid_at = CURRENT_TIMESTAMP WHERE id = $1
+       RETURNING id, format, status, payout_count, total_amount, currency, created_by, created_at, paid_at`,
+      [req.params.id]
+    );
+    await client.query('COMMIT');
+    res.json({ ...result.rows[0], paidPayoutIds: payouts.rows.map(p => p.id) });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to revoke partner' });
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Failed to mark payout batch as paid' });
+  } finally {
+    client.release();
   }
 });
 
-app.get('/api/admin/products', authenticateToken, isAdmin, async (req, res) => {
-  try {
-    const result = await pool.query(
-      `SELECT p.*, u.name as vendor_name FROM products p LEFT JOIN users u ON p.vendor_id = u.id ORDER BY p.approved ASC, p.created_at DESC`
-    );
-    res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch products' });
+// ============================================
+// EXPORTS (CSV / XLSX)
+// ============================================
+// Große Exporte werden per DB-Cursor blockweise gelesen und direkt in die Antwort geschrieben.
+// Filter: ?from / ?to (YYYY-MM-DD, inklusive), ?status (kommagetrennt), ?format=csv|xlsx
+const EXPORT_BATCH_SIZE = 1000;
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Spalten: [Überschrift, SQL-Ausdruck, Typ]; Zahlen und Datumswerte werden in XLSX als solche geschrieben
+const EXPORTS = {
+  conversions: {
+    from: `conversions c JOIN affiliate_links al ON c.link_id = al.id JOIN users u ON al.user_id = u.id JOIN products p ON al.product_id = p.id`,
+    dateColumn: 'c.converted_at',
+    status: { sql: 'c.status', values: CONVERSION_STATUSES },
+    filters: { partnerId: 'p.vendor_id' },
+    order: 'c.converted_at, c.id',
+    columns: [
+      ['id', 'c.id', 'number'], ['converted_at', 'c.converted_at', 'date'], ['order_id', 'c.order_id'], ['status', 'c.status'], ['on_hold', 'c.on_hold'],
+      ['link_code', 'al.link_code'], ['affiliate_id', 'u.id', 'number'], ['affiliate_name', 'u.name'], ['affiliate_email', 'u.email'],
+      ['product_id', 'p.id', 'number'], ['product_name', 'p.name'], ['partner_id', 'p.vendor_id', 'number'],
+      ['amount', 'c.amount', 'number'], ['commission', 'c.commission', 'number'], ['bonus_commission', 'c.bonus_commission', 'number'],
+      ['refunded_amount', 'c.refunded_amount', 'number'], ['reversed_commission', 'c.reversed_commission', 'number'], ['currency', 'c.currency'],
+      ['payout_currency', 'c.payout_currency'], ['payout_rate', 'c.payout_rate', 'number'], ['attribution_share', 'c.attribution_share', 'number'],
+      ['payable_at', 'c.payable_at', 'date'], ['approved_at', 'c.approved_at', 'date'], ['paid_at', 'c.paid_at', 'date'], ['reversed_at', 'c.reversed_at', 'date'],
+      ['payout_id', 'c.payout_id', 'number'], ...SUB_IDS.map(sub => [sub, `c.${sub}`])
+    ]
+  },
+  clicks: {
+    from: `clicks cl JOIN affiliate_links al ON cl.link_id = al.id JOIN products p ON al.product_id = p.id`,
+    dateColumn: 'cl.clicked_at',
+    // Gültige Klicks haben kein Flag
+    status: { sql: "COALESCE(cl.flag, 'valid')", values: ['valid', 'bot', 'blocked', 'self', 'duplicate'] },
+    filters: { partnerId: 'p.vendor_id' },
+    order: 'cl.clicked_at, cl.id',
+    columns: [
+      ['id', 'cl.id', 'number'], ['clicked_at', 'cl.clicked_at', 'date'], ['status', "COALESCE(cl.flag, 'valid')"], ['link_code', 'al.link_code'],
+      ['affiliate_id', 'al.user_id', 'number'], ['product_id', 'p.id', 'number'], ['product_name', 'p.name'], ['visitor_id', 'cl.visitor_id'],
+      ['ip_address', 'cl.ip_address'], ['user_agent', 'cl.user_agent'], ['referrer', 'cl.referrer'], ['country', 'cl.country'],
+      ['device_type', 'cl.device_type'], ['browser', 'cl.browser'], ...SUB_IDS.map(sub => [sub, `cl.${sub}`])
+    ]
+  },
+  payouts: {
+    from: `payouts p JOIN users u ON p.user_id = u.id LEFT JOIN credit_notes cn ON cn.payout_id = p.id`,
+    dateColumn: 'p.requested_at',
+    status: { sql: 'p.status', values: ['requested', 'approved', 'processing', 'paid', 'failed', 'rejected'] },
+    filters: { userId: 'p.user_id' },
+    order: 'p.requested_at, p.id',
+    columns: [
+      ['id', 'p.id', 'number'], ['requested_at', 'p.requested_at', 'date'], ['status', 'p.status'], ['user_id', 'u.id', 'number'], ['user_name', 'u.name'],
+      ['user_email', 'u.email'], ['amount', 'p.amount', 'number'], ['vat_status', 'p.vat_status'], ['vat_rate', 'p.vat_rate', 'number'],
+      ['vat_amount', 'p.vat_amount', 'number'], ['currency', 'p.currency'], ['payment_method', 'p.payment_method'], ['payment_details', 'p.payment_details'],
+      ['batch_id', 'p.batch_id', 'number'], ['credit_note_number', 'cn.number'], ['approved_at', 'p.approved_at', 'date'],
+      ['processed_at', 'p.processed_at', 'date'], ['status_note', 'p.status_note']
+    ]
+  },
+  users: {
+    from: `users u CROSS JOIN LATERAL (
+      SELECT COUNT(DISTINCT al.id) as links, COALESCE(SUM(s.clicks), 0) as clicks, COALESCE(SUM(s.conversions), 0) as conversions,
+        ${statsSumSql('commission', `'${BASE_CURRENCY}'`)} as earnings
+      FROM affiliate_links al LEFT JOIN stats_daily s ON al.id = s.link_id WHERE al.user_id = u.id
+    ) stats`,
+    dateColumn: 'u.created_at',
+    // Für Nutzer filtert ?status nach Rolle
+    status: {
+      sql: `CASE WHEN u.is_admin THEN 'admin' WHEN u.is_partner AND u.partner_approved THEN 'partner' WHEN u.is_partner THEN 'partner_pending' ELSE 'marketer' END`,
+      values: ['marketer', 'partner', 'partner_pending', 'admin']
+    },
+    filters: {},
+    order: 'u.created_at, u.id',
+    columns: [
+      ['id', 'u.id', 'number'], ['created_at', 'u.created_at', 'date'], ['name', 'u.name'], ['email', 'u.email'],
+      ['role', `CASE WHEN u.is_admin THEN 'admin' WHEN u.is_partner AND u.partner_approved THEN 'partner' WHEN u.is_partner THEN 'partner_pending' ELSE 'marketer' END`],
+      ['email_verified', 'u.email_verified'], ['totp_enabled', 'u.totp_enabled'], ['payout_currency', 'u.payout_currency'],
+      ['links', 'stats.links', 'number'], ['clicks', 'stats.clicks', 'number'], ['conversions', 'stats.conversions', 'number'],
+      [`earnings_${BASE_CURRENCY.toLowerCase()}`, 'stats.earnings', 'number']
+    ]
+  },
+  // Verkäufe der eigenen Produkte für Partner (ohne Kontaktdaten der Affiliates)
+  sales: {
+    from: `conversions c JOIN affiliate_links al ON c.link_id = al.id JOIN products p ON al.product_id = p.id`,
+    dateColumn: 'c.converted_at',
+    status: { sql: 'c.status', values: CONVERSION_STATUSES },
+    filters: { partnerId: 'p.vendor_id' },
+    order: 'c.converted_at, c.id',
+    columns: [
+      ['id', 'c.id', 'number'], ['converted_at', 'c.converted_at', 'date'], ['order_id', 'c.order_id'], ['status', 'c.status'],
+      ['product_id', 'p.id', 'number'], ['product_name', 'p.name'], ['link_code', 'al.link_code'], ['amount', 'c.amount', 'number'],
+      ['commission', 'c.commission', 'number'], ['refunded_amount', 'c.refunded_amount', 'number'],
+      ['reversed_commission', 'c.reversed_commission', 'number'], ['currency', 'c.currency']
+    ]
   }
-});
+};
 
-app.put('/api/admin/products/:id/approve', authenticateToken, isAdmin, async (req, res) => {
+// Gibt { values } zurück oder { error }; scope erzwingt Filter (z.B. Partner-ID) unabhängig von der Anfrage
+function parseExportQuery(definition, query, scope = {}) {
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  for (const key of ['from', 'to']) {
+    if (query[key] && (!/^\d{4}-\d{2}-\d{2}$/.test(query[key]) || isNaN(Date.parse(query[key])))) return { error: `${key} must be a date (YYYY-MM-DD)` };
+  }
+  if (query.from && query.to && query.from > query.to) return { error: 'from must not be after to' };
+
+  const statuses = [...new Set(String(query.status || '').split(',').map(value => value.trim()).filter(Boolean))];
+  const unknown = statuses.filter(status => !definition.status.values.includes(status));
+  if (unknown.length > 0) return { error: `Unknown status ${unknown.join(', ')}; allowed: ${definition.status.values.join(', ')}` };
+
+  const params = [];
+  const param = (value) => { params.push(value); return `$${params.length}`; };
+  const conditions = [];
+  if (query.from) conditions.push(`${definition.dateColumn} >= ${param(query.from)}::date`);
+  if (query.to) conditions.push(`${definition.dateColumn} < ${param(query.to)}::date + 1`);
+  if (statuses.length > 0) conditions.push(`${definition.status.sql} = ANY(${param(statuses)}::text[])`);
+  for (const [key, column] of Object.entries(definition.filters)) {
+    const value = scope[key] ?? query[key];
+    if (value === undefined || value === '') continue;
+    if (!/^\d+$/.test(String(value))) return { error: `${key} must be an id` };
+    conditions.push(`${column} = ${param(parseInt(value))}`);
+  }
+
+  const sql = `SELECT ${definition.columns.map(([name, expression]) => `${expression} as "${name}"`).join(', ')}
+    FROM ${definition.from}
+    WHERE ${conditions.join(' AND ') || 'TRUE'}
+    ORDER BY ${definition.order}`;
+  return { values: { format, sql, params } };
+}
+
+// Formelzeichen am Textanfang neutralisieren, damit Tabellenkalkulationen Namen o. ä. nicht als Formel ausführen
+const spreadsheetText = (value) => /^[=+\-@\t\r]/.test(value) && isNaN(Number(value)) ? `'${value}` : value;
+
+function csvExportWriter(res, columns) {
+  const write = (fields) => res.write(fields.map(value => csvField(value instanceof Date ? value.toISOString() : typeof value === 'string' ? spreadsheetText(value) : value)).join(',') + '\r\n');
+  return {
+    // BOM, damit Excel die Datei als UTF-8 erkennt
+    start: async () => {
+      res.write('\uFEFF');
+      write(columns.map(([name]) => name));
+    },
+    row: async (row) => write(columns.map(([name]) => row[name])),
+    end: async () => res.end()
+  };
+}
+
+function xlsxExportWriter(res, columns, sheetName) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  return {
+    start: async () => {
+      sheet.columns = columns.map(([name, , type]) => ({ header: name, key: name, width: type === 'date' ? 20 : Math.max(12, name.length + 2), style: type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : {} }));
+    },
+    row: async (row) => {
+      sheet.addRow(Object.fromEntries(columns.map(([name, , type]) => {
+        const value = row[name];
+        if (value === null || value === undefined) return [name, null];
+        if (type === 'number') return [name, Number(value)];
+        return [name, typeof value === 'string' ? spreadsheetText(value) : value];
+      }))).commit();
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+async function streamExport(req, res, name, scope = {}) {
+  const definition = EXPORTS[name];
+  const parsed = parseExportQuery(definition, req.query, scope);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { format, sql, params } = parsed.values;
+
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(sql, params));
   try {
-    const result = await pool.query('UPDATE products SET approved = TRUE WHERE id = $1 RETURNING *', [req.params.id]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
-    res.json(result.rows[0]);
+    // Erster Block vor den Headern, damit SQL-Fehler noch als JSON gemeldet werden können
+    let rows = await cursor.read(EXPORT_BATCH_SIZE);
+    res.setHeader('Content-Type', format === 'xlsx' ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="alug-${name}-${isoDate(new Date())}.${format}"`);
+    const writer = format === 'xlsx' ? xlsxExportWriter(res, definition.columns, name) : csvExportWriter(res, definition.columns);
+    await writer.start();
+    while (rows.length > 0 && !res.destroyed) {
+      for (const row of rows) await writer.row(row);
+      // Nächsten Block erst lesen, wenn der Client nachkommt (bzw. abgebrochen hat)
+      if (res.writableNeedDrain) await new Promise(resolve => {
+        const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+      rows = await cursor.read(EXPORT_BATCH_SIZE);
+    }
+    if (!res.destroyed) await writer.end();
   } catch (err) {
-    res.status(500).json({ error: 'Failed to approve product' });
+    console.error(`Export ${name} error:`, err);
+    if (res.headersSent) res.destroy();
+    else res.status(500).json({ error: 'Failed to export data' });
+  } finally {
+    await cursor.close().catch(() => {});
+    client.release();
   }
+}
+
+// /api/admin/exports/conversions|clicks|payouts|users; Conversions und Klicks optional ?partnerId, Auszahlungen ?userId
+app.get('/api/admin/exports/:type', authenticateToken, isAdmin, async (req, res) => {
+  if (!['conversions', 'clicks', 'payouts', 'users'].includes(req.params.type)) return res.status(404).json({ error: 'Unknown export' });
+  await streamExport(req, res, req.params.type);
 });
 
-app.put('/api/admin/products/:id/reject', authenticateToken, isAdmin, async (req, res) => {
+app.get('/api/partner/exports/sales', authenticateToken, isPartner, async (req, res) => {
+  await streamExport(req, res, 'sales', { partnerId: req.user.userId });
+});
+
+// ============================================
+// TAX PROFILES & CREDIT NOTES
+// ============================================
+// Jede bezahlte Auszahlung erhält eine fortlaufend nummerierte Gutschrift (§ 14 Abs. 2 Satz 2 UStG).
+// small_business: Kleinunternehmer nach § 19 UStG, regular: regelbesteuert (USt. kommt zur Provision hinzu),
+// reverse_charge: ausländische Unternehmer, die Steuer schuldet ALUG als Leistungsempfänger.
+const VAT_STATUSES = ['small_business', 'regular', 'reverse_charge'];
+const VAT_RATE = 0.19;
+
+const vatRateFor = (vatStatus) => vatStatus === 'regular' ? VAT_RATE : 0;
+
+const CREDIT_NOTE_ISSUER = {
+  name: process.env.COMPANY_NAME || 'ALUG',
+  address: (process.env.COMPANY_ADDRESS || '').split('|').filter(Boolean),
+  vatId: process.env.COMPANY_VAT_ID || null
+};
+
+const VAT_NOTES = {
+  small_business: 'Kein Ausweis der Umsatzsteuer, da der Leistende Kleinunternehmer im Sinne von § 19 UStG ist.',
+  regular: null,
+  reverse_charge: 'Steuerschuldnerschaft des Leistungsempfängers (Reverse Charge).'
+};
+
+// Gibt { values } (Spaltennamen) zurück oder { error }
+function parseTaxProfile(body) {
+  const text = (value) => String(value ?? '').trim();
+  const values = {
+    legal_name: text(body.legalName),
+    street: text(body.street),
+    postal_code: text(body.postalCode),
+    city: text(body.city),
+    country: text(body.country).toUpperCase(),
+    tax_number: text(body.taxNumber) || null,
+    vat_id: normalizeVatId(body.vatId) || null,
+    vat_status: text(body.vatStatus),
+    iban: normalizeIban(body.iban)
+  };
+  const required = { legalName: 'legal_name', street: 'street', postalCode: 'postal_code', city: 'city', country: 'country', iban: 'iban' };
+  const missing = Object.entries(required).filter(([, column]) => !values[column]).map(([field]) => field);
+  if (missing.length > 0) return { error: `Missing fields: ${missing.join(', ')}` };
+  if (!/^[A-Z]{2}$/.test(values.country)) return { error: 'country must be an ISO 3166-1 alpha-2 code' };
+  if (!VAT_STATUSES.includes(values.vat_status)) return { error: `vatStatus must be one of: ${VAT_STATUSES.join(', ')}` };
+  if (!isValidIban(values.iban)) return { error: 'Invalid IBAN' };
+  if (values.vat_id && !isValidVatId(values.vat_id, values.country)) return { error: `Invalid VAT ID for ${values.country}` };
+  if (!values.tax_number && !values.vat_id) return { error: 'A tax number or VAT ID is required' };
+  // Kleinunternehmerregelung und deutsche USt. gelten nur für im Inland ansässige Affiliates
+  if (values.vat_status !== 'reverse_charge' && values.country !== 'DE') return { error: 'Affiliates outside Germany must use vatStatus reverse_charge' };
+  if (values.vat_status === 'reverse_charge' && values.country === 'DE') return { error: 'reverse_charge is only available for affiliates outside Germany' };
+  if (values.vat_status === 'reverse_charge' && EU_VAT_PATTERNS[values.country] && !values.vat_id) return { error: 'A VAT ID is required for reverse charge within the EU' };
+  return { values };
+}
+
+const formatMoney = (value, currency) => `${Number(value).toFixed(2).replace('.', ',')} ${currency === 'EUR' ? '€' : currency}`;
+const formatDate = (value) => new Date(value).toLocaleDateString('de-DE', { timeZone: 'Europe/Berlin' });
+
+function renderCreditNotePdf(note, lines) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { recipient } = note;
+    doc.fontSize(9).text([CREDIT_NOTE_ISSUER.name, ...CREDIT_NOTE_ISSUER.address].join('\n'), { align: 'right' });
+    doc.moveDown(2).fontSize(10).text([recipient.legal_name, recipient.street, `${recipient.postal_code} ${recipient.city}`, recipient.country].join('\n'));
+    doc.moveDown(2).fontSize(16).text(`Gutschrift Nr. ${note.number}`);
+    doc.moveDown(0.5).fontSize(10).text(`Datum: ${formatDate(note.issued_at)}\nAuszahlung: #${note.payout_id}`);
+    doc.moveDown().text('Für die vermittelten Verkäufe schreiben wir Ihnen folgende Provisionen gut:');
+
+    const columns = [50, 120, 250, 445];
+    const row = (cells, options = {}) => {
+      if (doc.y > 740) doc.addPage();
+      const y = doc.y;
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+      cells.slice(0, 3).forEach((cell, i) => doc.text(cell, columns[i], y, { width: columns[i + 1] - columns[i] - 10, lineBreak: false, ellipsis: true }));
+      doc.text(cells[3], columns[3], y, { width: 100, align: 'right' });
+      doc.x = 50;
+    };
+    doc.moveDown();
+    row(['Datum', 'Bestellung', 'Produkt', 'Provision'], { bold: true });
+    for (const line of lines) row([formatDate(line.converted_at), line.order_id || '-', line.product_name || '-', formatMoney(line.commission, note.currency)]);
+    // FIFO-Zuordnung: Teilbeträge einzelner Conversions werden mit der nächsten Auszahlung verrechnet
+    const carryOver = roundMoney(note.net_amount - lines.reduce((sum, line) => sum + parseFloat(line.commission), 0));
+    if (carryOver !== 0) row(['', '', 'Verrechnung offener Provisionsanteile', formatMoney(carryOver, note.currency)]);
+
+    doc.moveDown();
+    row(['', '', 'Nettobetrag', formatMoney(note.net_amount, note.currency)]);
+    row(['', '', `Umsatzsteuer ${(note.vat_rate * 100).toFixed(0)} %`, formatMoney(note.vat_amount, note.currency)]);
+    row(['', '', 'Auszahlungsbetrag', formatMoney(note.gross_amount, note.currency)], { bold: true });
+
+    doc.font('Helvetica').moveDown(2);
+    if (VAT_NOTES[recipient.vat_status]) doc.text(VAT_NOTES[recipient.vat_status]).moveDown(0.5);
+    doc.text([
+      recipient.tax_number && `Steuernummer des Leistenden: ${recipient.tax_number}`,
+      recipient.vat_id && `USt-IdNr. des Leistenden: ${recipient.vat_id}`,
+      CREDIT_NOTE_ISSUER.vatId && `USt-IdNr. ${CREDIT_NOTE_ISSUER.name}: ${CREDIT_NOTE_ISSUER.vatId}`
+    ].filter(Boolean).join('\n'));
+    doc.moveDown(0.5).text('Es handelt sich um eine Gutschrift im Sinne von § 14 Abs. 2 Satz 2 UStG.');
+    doc.end();
+  });
+}
+
+// Erwartet eine offene Transaktion; der Zähler pro Jahr wird erst mit dem Commit vergeben und bleibt lückenlos.
+// Auszahlungen, die vor Einführung der Steuerprofile beantragt wurden (vat_status NULL), erhalten keine Gutschrift.
+async function issueCreditNote(client, payout) {
+  if (!payout.vat_status) return null;
+  const profileResult = await client.query('SELECT * FROM tax_profiles WHERE user_id = $1', [payout.user_id]);
+  const profile = profileResult.rows[0];
+  if (!profile) return null;
+
+  const year = new Date().getFullYear();
+  const counter = await client.query(
+    `INSERT INTO document_counters (name, value) VALUES ($1, 1)
+     ON CONFLICT (name) DO UPDATE SET value = document_counters.value + 1 RETURNING value`,
+    [`credit_note:${year}`]
+  );
+  // Overrides stehen als eigene Positionen neben den Conversions, damit die Summe dem Nettobetrag entspricht
+  const lines = await client.query(
+    `SELECT * FROM (
+       SELECT c.converted_at, c.order_id, p.name as product_name, ROUND((c.commission - c.reversed_commission) * c.payout_rate, 2) as commission, c.id
+       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id LEFT JOIN products p ON al.product_id = p.id
+       WHERE c.payout_id = $1
+       UNION ALL
+       SELECT ro.created_at, c.order_id, 'Override Ebene ' || ro.level || COALESCE(' (' || u.name || ')', ''), ro.amount - ro.reversed_amount, c.id
+       FROM referral_overrides ro LEFT JOIN conversions c ON ro.conversion_id = c.id LEFT JOIN users u ON ro.recruit_id = u.id
+       WHERE ro.payout_id = $1
+     ) line ORDER BY converted_at, id`,
+    [payout.id]
+  );
+
+  const { user_id, updated_at, ...recipient } = profile;
+  const net = parseFloat(payout.amount);
+  const vat = parseFloat(payout.vat_amount);
+  const note = {
+    payout_id: payout.id,
+    currency: payout.currency,
+    number: `GS-${year}-${String(counter.rows[0].value).padStart(5, '0')}`,
+    recipient: { ...recipient, vat_status: payout.vat_status },
+    net_amount: net,
+    vat_rate: parseFloat(payout.vat_rate),
+    vat_amount: vat,
+    gross_amount: roundMoney(net + vat),
+    issued_at: new Date()
+  };
+  const pdf = await renderCreditNotePdf(note, lines.rows);
+  const result = await client.query(
+    `INSERT INTO credit_notes (payout_id, user_id, number, recipient, net_amount, vat_rate, vat_amount, gross_amount, currency, pdf, issued_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id, number`,
+    [payout.id, payout.user_id, note.number, JSON.stringify(note.recipient), net, note.vat_rate, vat, note.gross_amount, note.currency, pdf, note.issued_at]
+  );
+  return result.rows[0];
+}
+
+function sendCreditNote(res, creditNote) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${creditNote.number}.pdf"`);
+  res.send(creditNote.pdf);
+}
+
+app.get('/api/tax-profile', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query('UPDATE products SET approved = FALSE WHERE id = $1 RETURNING *', [req.params.id]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
+    const result = await pool.query('SELECT * FROM tax_profiles WHERE user_id = $1', [req.user.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'No tax profile yet' });
     res.json(result.rows[0]);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to reject product' });
+    res.status(500).json({ error: 'Failed to fetch tax profile' });
   }
 });
 
-app.get('/api/admin/conversions', authenticateToken, isAdmin, async (req, res) => {
+// Änderungen gelten für künftige Auszahlungsanträge; bestehende behalten ihren USt.-Status
+app.put('/api/tax-profile', authenticateToken, async (req, res) => {
+  const parsed = parseTaxProfile(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
   try {
+    const columns = Object.keys(parsed.values);
     const result = await pool.query(
-      `SELECT c.*, al.link_code, u.name as user_name, p.name as product_name
-       FROM conversions c JOIN affiliate_links al ON c.link_id = al.id JOIN users u ON al.user_id = u.id JOIN products p ON al.product_id = p.id
-       ORDER BY c.converted_at DESC`
+      `INSERT INTO tax_profiles (user_id, ${columns.join(', ')}) VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+       ON CONFLICT (user_id) DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [req.user.userId, ...Object.values(parsed.values)]
     );
-    res.json(result.rows);
+    res.json(result.rows[0]);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch conversions' });
+    res.status(500).json({ error: 'Failed to save tax profile' });
   }
 });
 
-app.get('/api/admin/payouts', authenticateToken, isAdmin, async (req, res) => {
+app.get('/api/payouts/:id/credit-note', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT p.*, u.name as user_name, u.email as user_email FROM payouts p JOIN users u ON p.user_id = u.id ORDER BY p.requested_at DESC`
-    );
-    res.json(result.rows);
+    const result = await pool.query('SELECT number, pdf FROM credit_notes WHERE payout_id = $1 AND user_id = $2', [req.params.id, req.user.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Credit note not found' });
+    sendCreditNote(res, result.rows[0]);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch payouts' });
+    res.status(500).json({ error: 'Failed to download credit note' });
   }
 });
 
-app.put('/api/admin/payouts/:id', authenticateToken, isAdmin, async (req, res) => {
+app.get('/api/admin/payouts/:id/credit-note', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const result = await pool.query(
-      'UPDATE payouts SET status = $1, processed_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
-      [req.body.status, req.params.id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Payout not found' });
-    res.json(result.rows[0]);
+    const result = await pool.query('SELECT number, pdf FROM credit_notes WHERE payout_id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Credit note not found' });
+    sendCreditNote(res, result.rows[0]);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update payout' });
+    res.status(500).json({ error: 'Failed to download credit note' });
   }
 });
 
 // ============================================
 // AFFILIATE REDIRECT ROUTE
 // ============================================
+const VISITOR_COOKIE = 'alug_vid';
+
+// Ungültig kodierte Paare (URIError) werden übersprungen
+const parseCookies = (header) => Object.fromEntries(
+  (header || '').split(';').map(part => part.trim().split('=')).filter(([key]) => key).flatMap(([key, ...value]) => {
+    try {
+      return [[key, decodeURIComponent(value.join('='))]];
+    } catch (err) {
+      return [];
+    }
+  })
+);
+
 app.get('/aff/:code', async (req, res) => {
   try {
     const { code } = req.params;
     const result = await pool.query(
-      `SELECT al.id, p.product_url FROM affiliate_links al JOIN products p ON al.product_id = p.id WHERE al.link_code = $1`,
+      `SELECT al.id, al.user_id, al.link_code, al.destination_url, al.campaign_id, p.id as product_id, p.product_url, p.utm_template,
+              cp.name as campaign_name, cp.utm_source as campaign_utm_source, cp.utm_medium as campaign_utm_medium, cp.utm_campaign as campaign_utm_campaign
+       FROM affiliate_links al JOIN products p ON al.product_id = p.id LEFT JOIN campaigns cp ON al.campaign_id = cp.id
+       WHERE al.link_code = $1`,
       [code]
     );
     if (result.rows.length === 0) return res.status(404).send('Link not found');
 
-    const { id, product_url } = result.rows[0];
-    await pool.query('INSERT INTO clicks (link_id, ip_address, user_agent) VALUES ($1, $2, $3)', [id, req.ip, req.headers['user-agent']]);
+    // First-Party-Cookie identifiert den Besucher über mehrere Affiliate-Links hinweg
+    let visitorId = parseCookies(req.headers.cookie)[VISITOR_COOKIE];
+    if (!/^[a-f0-9-]{36}$/.test(visitorId || '')) visitorId = crypto.randomUUID();
+    res.cookie(VISITOR_COOKIE, visitorId, { maxAge: 365 * 24 * 60 * 60 * 1000, httpOnly: true, sameSite: 'lax', secure: process.env.NODE_ENV === 'production' });
+
+    const link = result.rows[0];
+    const { id, user_id, destination_url, product_url } = link;
+    const userAgent = req.headers['user-agent'];
+    const flag = await classifyClick({ linkId: id, ownerId: user_id, ip: req.ip, userAgent });
+    const { deviceType, browser } = parseUserAgent(userAgent);
+    const subIds = SUB_IDS.map(sub => typeof req.query[sub] === 'string' ? req.query[sub].trim().slice(0, 100) || null : null);
+    await pool.query(
+      `WITH click AS (
+         INSERT INTO clicks (link_id, ip_address, user_agent, visitor_id, flag, referrer, country, device_type, browser, campaign_id, ${SUB_IDS.join(', ')})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING link_id, clicked_at, flag
+       )
+       INSERT INTO stats_daily (link_id, day, clicks) SELECT link_id, clicked_at::date, 1 FROM click WHERE flag IS NULL AND alug_stats_lock(clicked_at::date)
+       ON CONFLICT (link_id, day) DO UPDATE SET clicks = stats_daily.clicks + 1`,
+      [id, req.ip, userAgent, visitorId, flag, referrerHost(req.get('referer')), await lookupCountry(req.ip), deviceType, browser, link.campaign_id, ...subIds]
+    );
 
-    const separator = product_url.includes('?') ? '&' : '?';
-    res.redirect(`${product_url}${separator}alug_code=${code}`);
+    // Deep Link des Links, sonst die Produktseite
+    res.redirect(buildRedirectUrl(destination_url || product_url, utmParams(link, subIds), [['alug_code', code], ['alug_vid', visitorId]]));
   } catch (err) {
     console.error('Redirect error:', err);
     res.status(500).send('Error');
@@ -846,6 +6463,8 @@ app.get('/aff/:code', async (req, res) => {
 // ERROR HANDLING
 // ============================================
 app.use((err, req, res, next) => {
+  // Client-Fehler aus dem Body-Parser (z.B. 413 bei zu großem Body) unverändert weitergeben
+  if (err.status >= 400 && err.status < 500) return res.status(err.status).json({ error: err.message });
   console.error('Server error:', err);
   res.status(500).json({ error: process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message });
 });
@@ -853,7 +6472,37 @@ app.use((err, req, res, next) => {
 // ============================================
 // START SERVER
 // ============================================
-app.listen(PORT, '0.0.0.0', () => {
-  console.error(`🚀 Server running on port ${PORT}`);
-  console.error(`✅ Health: http://0.0.0.0:${PORT}/api/health`);
-});
\ No newline at end of file
+// npm run rebuild-stats [-- --from=YYYY-MM-DD]: Tagesstatistiken neu aufbauen, ohne den Server zu starten
+// npm run send-digests: fällige E-Mail-Digests sofort versenden (z.B. per Cron statt des stündlichen Timers)
+if (process.argv.includes('--send-digests')) {
+  databaseReady
+    .then(() => sendDueDigests({ minHour: 0 }))
+    .then(sent => {
+      console.log(`✅ Digests sent: ${sent}`);
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('❌ Digest error:', err);
+      process.exit(1);
+    });
+} else if (process.argv.includes('--rebuild-stats')) {
+  const from = (process.argv.find(arg => arg.startsWith('--from=')) || '').slice('--from='.length) || null;
+  databaseReady
+    .then(() => rebuildDailyStats(from))
+    .then(rows => {
+      console.log(`✅ Daily stats rebuilt${from ? ` from ${from}` : ''}: ${rows} rows`);
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('❌ Daily stats rebuild error:', err);
+      process.exit(1);
+    });
+} else {
+  for (const { job, intervalMs } of backgroundJobs) setInterval(job, intervalMs);
+  setTimeout(createAdminUser, 2000);
+  databaseReady.then(() => migrateProductImages()).catch(err => console.error('❌ Image migration error:', err));
+  app.listen(PORT, '0.0.0.0', () => {
+    console.error(`🚀 Server running on port ${PORT}`);
+    console.error(`✅ Health: http://0.0.0.0:${PORT}/api/health`);
+  });
+}
\ No newline at end of file